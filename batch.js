@@ -0,0 +1,292 @@
+import { requestJson, multipartBody, sleep, parseJson, parseXml, parseUsage, usageCost, addUsage } from './util.js';
+import { LLMError, OutputValidationError, createHttpError } from './errors.js';
+import { validateSchema, formatSchemaErrors } from './schema.js';
+import { estimateTokens } from './context.js';
+import { buildInput } from './content.js';
+
+// Runs many chat() calls. Live batches run them with a concurrency limit and
+// requests/tokens per minute budgets, pacing themselves on the x-ratelimit-*
+// headers too. With batchApi they go through the OpenAI Batch API instead.
+// Both resolve with one {status, value} or {status, reason} entry per item,
+// in input order, like Promise.allSettled.
+
+const minute = 60000;
+
+// Items are prompts or {prompt, ...options}; options override chatOptions
+const normalizeItems = (items, chatOptions) => {
+	if (!Array.isArray(items)) throw new Error('Batch items must be an array');
+	return items.map((item, index) => {
+		if (typeof item === 'string' || Array.isArray(item)) return {'prompt': item, 'options': chatOptions};
+		if (!item || typeof item !== 'object') throw new Error(`Batch item ${index} must be a prompt or an object`);
+		const {prompt, ...options} = item;
+		return {'prompt': prompt ?? null, 'options': {...chatOptions, ...options}};
+	});
+};
+
+const abortError = (signal, results) => {
+	const error = new Error('Batch aborted', {'cause': signal.reason});
+	error.name = 'AbortError';
+	error.results = results;
+	return error;
+};
+
+// Sliding one-minute window of started requests and their tokens, plus the
+// latest rate limit the server reported
+const createLimiter = ({requestsPerMinute, tokensPerMinute, onWait}) => {
+	const window = [];
+	let server = null;
+
+	const delay = (tokens) => {
+		const now = Date.now();
+		while (window.length && window[0].time <= now - minute) window.shift();
+		let wait = 0;
+		if (requestsPerMinute && window.length >= requestsPerMinute) wait = window[0].time + minute - now;
+		const used = window.reduce((sum, entry) => sum + entry.tokens, 0);
+		if (tokensPerMinute && window.length && used + tokens > tokensPerMinute) wait = Math.max(wait, window[0].time + minute - now);
+		// Reported limits apply until their reset time
+		if (server && server.remainingRequests !== null && server.remainingRequests <= 0 && now < server.requestsResetAt) {
+			wait = Math.max(wait, server.requestsResetAt - now);
+		}
+		if (server && server.remainingTokens !== null && server.remainingTokens < tokens && now < server.tokensResetAt) {
+			wait = Math.max(wait, server.tokensResetAt - now);
+		}
+		return wait;
+	};
+
+	return {
+		'acquire': async (tokens, signal) => {
+			for (let wait = delay(tokens); wait > 0; wait = delay(tokens)) {
+				await onWait(wait);
+				await sleep(wait, signal);
+			}
+			const entry = {'time': Date.now(), 'tokens': tokens};
+			window.push(entry);
+			// Counts down locally until the next response reports again
+			if (server) {
+				if (server.remainingRequests !== null) server.remainingRequests--;
+				if (server.remainingTokens !== null) server.remainingTokens -= tokens;
+			}
+			return entry;
+		},
+		'update': (rateLimit) => {
+			const now = Date.now();
+			server = {
+				...rateLimit,
+				'requestsResetAt': now + (rateLimit.resetRequests ?? minute),
+				'tokensResetAt': now + (rateLimit.resetTokens ?? minute),
+			};
+		},
+	};
+};
+
+const estimateItem = ({prompt, options}) => estimateTokens([prompt, options.systemPrompt || '']) + (options.maxTokens || 0);
+
+export const runBatch = async (llm, items, {
+	concurrency = 4,
+	requestsPerMinute,
+	tokensPerMinute,
+	chatOptions = {},
+	onProgress,
+	signal,
+} = {}) => {
+	if (!Number.isInteger(concurrency) || concurrency < 1) throw new Error('concurrency must be a positive integer');
+	if (requestsPerMinute !== undefined && !(requestsPerMinute > 0)) throw new Error('requestsPerMinute must be a positive number');
+	if (tokensPerMinute !== undefined && !(tokensPerMinute > 0)) throw new Error('tokensPerMinute must be a positive number');
+	const jobs = normalizeItems(items, chatOptions);
+	const total = jobs.length;
+	const results = new Array(total);
+	const progress = async (event) => {
+		if (onProgress) await onProgress(event);
+	};
+	const counts = {'completed': 0, 'failed': 0};
+	const limiter = createLimiter({requestsPerMinute, tokensPerMinute, 'onWait': wait => progress({'type': 'rate_limited', 'wait': wait})});
+	llm.on('ratelimit', limiter.update);
+
+	let next = 0;
+	const worker = async () => {
+		while (next < total && !signal?.aborted) {
+			const index = next++;
+			const {prompt, options} = jobs[index];
+			let slot;
+			try {
+				slot = await limiter.acquire(estimateItem(jobs[index]), signal);
+			} catch (err) {
+				if (signal?.aborted) return;
+				throw err;
+			}
+			await progress({'type': 'item_started', 'index': index});
+			try {
+				const result = await llm.chat(prompt, {
+					...options,
+					'signal': options.signal && signal ? AbortSignal.any([options.signal, signal]) : options.signal || signal,
+				});
+				// Counts what the chat really used against the budget
+				if (result.usage.totalTokens) slot.tokens = result.usage.totalTokens;
+				results[index] = {'status': 'fulfilled', 'value': result};
+				counts.completed++;
+				await progress({'type': 'item_completed', 'index': index, 'result': result, ...counts, 'total': total});
+			} catch (err) {
+				if (signal?.aborted) return;
+				results[index] = {'status': 'rejected', 'reason': err};
+				counts.failed++;
+				await progress({'type': 'item_failed', 'index': index, 'error': err, ...counts, 'total': total});
+			}
+		}
+	};
+
+	try {
+		await Promise.all(Array.from({'length': Math.min(concurrency, total)}, worker));
+	} finally {
+		llm.off('ratelimit', limiter.update);
+	}
+	if (signal?.aborted) throw abortError(signal, results);
+	return results;
+};
+
+// Options a Batch API request cannot carry, since nothing runs between rounds
+const unsupportedOptions = ['tools', 'hostedTools', 'conversation', 'lastMessageId', 'pendingToolCalls', 'template', 'repair'];
+
+const toBatchBody = async (llm, prompt, options) => {
+	for (const name of unsupportedOptions) {
+		if (options[name]) throw new Error(`${name} is not supported with batchApi`);
+	}
+	if (typeof prompt !== 'string' && !Array.isArray(prompt)) throw new Error('Prompt must be a string or an array of content parts');
+	const body = {'model': llm.model, 'input': await buildInput(prompt, options)};
+	if (options.systemPrompt) body.instructions = options.systemPrompt;
+	if (options.store !== undefined) body.store = options.store;
+	if (options.temperature !== undefined) body.temperature = options.temperature;
+	if (options.topP !== undefined) body.top_p = options.topP;
+	if (options.maxTokens) body.max_output_tokens = options.maxTokens;
+	if (options.reasoning) body.reasoning = options.reasoning;
+	if (options.schema) {
+		body.text = {'format': {'type': 'json_schema', 'name': options.schemaName || 'response', 'schema': options.schema, 'strict': true}};
+	} else if (options.json) {
+		body.text = {'format': {'type': 'json_object'}};
+	}
+	return body;
+};
+
+// Builds the same result chat() would from a finished response body
+const toBatchResult = (llm, response, options) => {
+	const output = response.output || [];
+	const message = output.find(item => item.type === 'message');
+	const text = (message?.content || [])
+		.filter(part => part.type === 'output_text')
+		.map(part => part.text)
+		.join('');
+	let content = text;
+	if (options.xml) {
+		content = parseXml(text, options.xml);
+	} else if (options.json || options.schema) {
+		content = parseJson(text);
+		const errors = validateSchema(options.schema, content);
+		if (errors.length) {
+			throw new OutputValidationError(`Response does not match schema: ${formatSchemaErrors(errors)}`, {text, errors});
+		}
+	}
+	const usage = parseUsage(response.usage);
+	const cost = usageCost(usage, llm.prices[llm.model]);
+	if (cost !== null) usage.cost = cost;
+	addUsage(llm.usage, usage);
+	const messages = message ? [{
+		'_id': message.id,
+		'role': 'assistant',
+		'type': 'message',
+		'text': content,
+		'content': content,
+		'status': 'completed',
+		'lastMessageId': response.id,
+	}] : [];
+	return {content, 'lastMessageId': response.id, messages, usage, 'cached': false};
+};
+
+const finalStatuses = ['completed', 'failed', 'expired', 'cancelled'];
+
+export const runBatchApi = async (llm, items, {
+	chatOptions = {},
+	completionWindow = '24h',
+	pollInterval = 10000,
+	metadata,
+	onProgress,
+	signal,
+} = {}) => {
+	if (llm.provider.name !== 'openai') throw new Error(`batchApi is not supported by the ${llm.provider.name} provider`);
+	const jobs = normalizeItems(items, chatOptions);
+	const total = jobs.length;
+	const progress = async (event) => {
+		if (onProgress) await onProgress(event);
+	};
+	const api = (path, init = {}) => requestJson(new URL(path, llm.apiBase), {'transport': llm.transport, 'headers': llm.headers, 'signal': signal, ...init});
+
+	const lines = [];
+	for (const [index, {prompt, options}] of jobs.entries()) {
+		const body = await toBatchBody(llm, prompt, options);
+		lines.push(JSON.stringify({'custom_id': `item-${index}`, 'method': 'POST', 'url': '/v1/responses', 'body': body}));
+	}
+	const upload = multipartBody({
+		'purpose': 'batch',
+		'file': {'data': new TextEncoder().encode(lines.join('\n')), 'filename': 'batch.jsonl', 'contentType': 'application/jsonl'},
+	});
+	const file = await api('/v1/files', {
+		'method': 'POST',
+		'headers': {...llm.headers, 'Content-Type': upload.contentType},
+		'body': upload.body,
+	});
+	let batch = await api('/v1/batches', {
+		'method': 'POST',
+		'body': {
+			'input_file_id': file.id,
+			'endpoint': '/v1/responses',
+			'completion_window': completionWindow,
+			...metadata && {'metadata': metadata},
+		},
+	});
+	await progress({'type': 'batch_submitted', 'batchId': batch.id, 'inputFileId': file.id});
+
+	try {
+		while (!finalStatuses.includes(batch.status)) {
+			await sleep(pollInterval, signal);
+			batch = await api(`/v1/batches/${batch.id}`);
+			await progress({'type': 'batch_status', 'batchId': batch.id, 'status': batch.status, 'requestCounts': batch.request_counts});
+		}
+	} catch (err) {
+		if (!signal?.aborted) throw err;
+		await api(`/v1/batches/${batch.id}/cancel`, {'method': 'POST', 'signal': undefined}).catch(() => {});
+		throw abortError(signal, new Array(total));
+	}
+	if (batch.status === 'failed') throw new LLMError(`Batch ${batch.id} failed: ${JSON.stringify(batch.errors)}`, {'body': batch});
+
+	// Expired and cancelled batches still return the requests that finished
+	const outputs = new Map();
+	for (const fileId of [batch.output_file_id, batch.error_file_id]) {
+		if (!fileId) continue;
+		const content = await api(`/v1/files/${fileId}/content`);
+		const text = typeof content === 'string' ? content : JSON.stringify(content);
+		for (const line of text.split('\n')) {
+			if (!line.trim()) continue;
+			const output = JSON.parse(line);
+			outputs.set(output.custom_id, output);
+		}
+	}
+
+	const results = [];
+	const counts = {'completed': 0, 'failed': 0};
+	for (const [index, {options}] of jobs.entries()) {
+		const output = outputs.get(`item-${index}`);
+		try {
+			if (!output) throw new LLMError(`No result for batch item ${index}, the batch ${batch.status}`);
+			if (output.error) throw new LLMError(`Batch item ${index} failed: ${output.error.message}`, {'body': output.error});
+			const {status_code: status, body} = output.response;
+			if (status >= 400) throw createHttpError(status, body, {});
+			const result = toBatchResult(llm, body, options);
+			results.push({'status': 'fulfilled', 'value': result});
+			counts.completed++;
+			await progress({'type': 'item_completed', 'index': index, 'result': result, ...counts, 'total': total});
+		} catch (err) {
+			results.push({'status': 'rejected', 'reason': err});
+			counts.failed++;
+			await progress({'type': 'item_failed', 'index': index, 'error': err, ...counts, 'total': total});
+		}
+	}
+	return results;
+};
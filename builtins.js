@@ -0,0 +1,53 @@
+// Node built-ins load on first use, so importing the package does not need
+// them. chat() with fetchTransport() runs where they do not exist, while
+// local files, FileCache, MCP over stdio and fixtures still need Node.
+const modules = {};
+export const loadBuiltin = (name) => modules[name] ||= import(name);
+
+// Stands in for node:events where it does not exist
+class Emitter {
+	handlers = new Map();
+
+	on = (name, listener) => {
+		this.handlers.set(name, [...this.handlers.get(name) || [], listener]);
+		return this;
+	};
+
+	addListener = this.on;
+
+	once = (name, listener) => {
+		const wrapper = (...args) => {
+			this.off(name, wrapper);
+			listener.apply(this, args);
+		};
+		wrapper.listener = listener;
+		return this.on(name, wrapper);
+	};
+
+	off = (name, listener) => {
+		const remaining = (this.handlers.get(name) || []).filter(handler => handler !== listener && handler.listener !== listener);
+		if (remaining.length) this.handlers.set(name, remaining);
+		else this.handlers.delete(name);
+		return this;
+	};
+
+	removeListener = this.off;
+
+	removeAllListeners = (name) => {
+		if (name === undefined) this.handlers.clear();
+		else this.handlers.delete(name);
+		return this;
+	};
+
+	listenerCount = (name) => (this.handlers.get(name) || []).length;
+
+	// Like node:events, an error nobody listens for is thrown
+	emit = (name, ...args) => {
+		const listeners = this.handlers.get(name) || [];
+		if (name === 'error' && !listeners.length) throw args[0];
+		for (const listener of listeners) listener.apply(this, args);
+		return listeners.length > 0;
+	};
+}
+
+export const {EventEmitter = Emitter} = await loadBuiltin('node:events').catch(() => ({}));
@@ -0,0 +1,93 @@
+import { loadBuiltin } from './builtins.js';
+
+// Response caches store the raw stream events of one request round under a
+// key derived from its payload. A store is any object with get(key) and
+// set(key, value) methods, sync or async; get resolves undefined on a miss.
+// Values are plain JSON.
+
+const stableStringify = (value) => {
+	if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+	if (value && typeof value === 'object') {
+		const entries = Object.keys(value).sort()
+			.filter(key => value[key] !== undefined)
+			.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+		return `{${entries.join(',')}}`;
+	}
+	return JSON.stringify(value);
+};
+
+// Hashes the request payload with its keys sorted, so equal requests share a
+// key whatever order their options were given in. Web Crypto is global from
+// Node 19, older versions get it from node:crypto.
+export const cacheKey = async (provider, payload) => {
+	const {stream, ...request} = payload;
+	const subtle = globalThis.crypto?.subtle || (await loadBuiltin('node:crypto')).webcrypto.subtle;
+	const digest = await subtle.digest('SHA-256', new TextEncoder().encode(stableStringify({provider, request})));
+	return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// In-memory store that evicts the least recently used entry
+export class MemoryCache {
+	constructor({maxEntries = 1000} = {}) {
+		if (!Number.isInteger(maxEntries) || maxEntries < 1) throw new Error('maxEntries must be a positive integer');
+		this.maxEntries = maxEntries;
+		this.entries = new Map();
+	}
+
+	get = (key) => {
+		if (!this.entries.has(key)) return undefined;
+		const value = this.entries.get(key);
+		this.entries.delete(key);
+		this.entries.set(key, value);
+		return structuredClone(value);
+	};
+
+	set = (key, value) => {
+		this.entries.delete(key);
+		this.entries.set(key, structuredClone(value));
+		while (this.entries.size > this.maxEntries) this.entries.delete(this.entries.keys().next().value);
+	};
+
+	delete = (key) => {
+		this.entries.delete(key);
+	};
+
+	clear = () => {
+		this.entries.clear();
+	};
+}
+
+// Stores one JSON file per key in a directory, Node only
+export class FileCache {
+	constructor({dir}) {
+		if (typeof dir !== 'string') throw new Error('FileCache requires a dir');
+		this.dir = dir;
+	}
+
+	file = async (key) => (await loadBuiltin('node:path')).join(this.dir, `${key}.json`);
+
+	get = async (key) => {
+		const {readFile} = await loadBuiltin('node:fs/promises');
+		try {
+			return JSON.parse(await readFile(await this.file(key), 'utf8'));
+		} catch (err) {
+			if (err.code === 'ENOENT') return undefined;
+			throw err;
+		}
+	};
+
+	// Writes through a temporary file so readers never see a partial entry
+	set = async (key, value) => {
+		const {writeFile, rename, mkdir} = await loadBuiltin('node:fs/promises');
+		const file = await this.file(key);
+		await mkdir(this.dir, {'recursive': true});
+		const temp = `${file}.${process.pid}.${Date.now()}.tmp`;
+		await writeFile(temp, JSON.stringify(value));
+		await rename(temp, file);
+	};
+
+	delete = async (key) => {
+		const {rm} = await loadBuiltin('node:fs/promises');
+		await rm(await this.file(key), {'force': true});
+	};
+}
@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+import { parseArgs } from 'node:util';
+import { createInterface } from 'node:readline/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { OpenAI, Conversation } from './index.js';
+
+// poon-llm command line. With a prompt in the arguments or on stdin it answers
+// once and exits, otherwise it starts an interactive chat.
+
+const usage = `Usage: poon-llm [options] [prompt...]
+
+Answers the prompt given as arguments or on stdin, or starts an interactive
+chat when there is neither.
+
+Options:
+  -m, --model <name>       Model, defaults to $POON_LLM_MODEL
+  -p, --provider <name>    openai (default), chat-completions or anthropic
+      --api-base <url>     Override the provider's API base URL
+  -s, --system <text>      System prompt
+      --json               Ask for a JSON object and print it parsed
+      --xml <tags>         Comma-separated XML tags to extract
+  -t, --timeout <ms>       Request timeout in milliseconds
+      --tools <module>     JS module exporting tools
+      --jsonl              Print every event as a JSON line
+  -h, --help               Show this help
+
+The API key is read from $OPENAI_API_KEY, or $ANTHROPIC_API_KEY for the
+anthropic provider. In the interactive chat /reset starts over and /exit quits.`;
+
+const options = {
+	'model': {'type': 'string', 'short': 'm'},
+	'provider': {'type': 'string', 'short': 'p', 'default': 'openai'},
+	'api-base': {'type': 'string'},
+	'system': {'type': 'string', 'short': 's'},
+	'json': {'type': 'boolean'},
+	'xml': {'type': 'string'},
+	'timeout': {'type': 'string', 'short': 't'},
+	'tools': {'type': 'string'},
+	'jsonl': {'type': 'boolean'},
+	'help': {'type': 'boolean', 'short': 'h'},
+};
+
+// With --jsonl a failure is printed as the last event too
+let jsonl = false;
+
+const readStdin = async () => {
+	let text = '';
+	for await (const chunk of process.stdin) text += chunk;
+	return text;
+};
+
+// The module's default export, or all of its named exports, is the tools object
+const loadTools = async (file) => {
+	const module = await import(pathToFileURL(path.resolve(file)).href);
+	return module.default ?? {...module};
+};
+
+// Runs one turn, printing text as it streams or every event as JSONL
+const runTurn = async (llm, prompt, chatOptions, {jsonl, signal}) => {
+	let result = null;
+	let streamed = false;
+	for await (const event of llm.stream(prompt, {...chatOptions, signal})) {
+		if (jsonl) {
+			process.stdout.write(`${JSON.stringify(event)}\n`);
+		} else if (event.type === 'text_delta' && !chatOptions.json && !chatOptions.xml) {
+			process.stdout.write(event.delta);
+			streamed = true;
+		}
+		if (event.type === 'result') result = event.result;
+	}
+	if (!jsonl && (chatOptions.json || chatOptions.xml)) {
+		process.stdout.write(`${JSON.stringify(result.content, null, 2)}\n`);
+	} else if (streamed) {
+		process.stdout.write('\n');
+	}
+	return result;
+};
+
+// Keeps the thread between turns with lastMessageId where the provider stores
+// history, and a Conversation everywhere else
+const repl = async (llm, chatOptions, flags) => {
+	const rl = createInterface({'input': process.stdin, 'output': process.stdout});
+	let conversation = llm.provider.stateful ? null : new Conversation();
+	let lastMessageId = null;
+	let controller = null;
+	// Ctrl+C stops the answer being streamed, or quits at the prompt
+	rl.on('SIGINT', () => controller ? controller.abort() : rl.close());
+
+	try {
+		while (true) {
+			let line;
+			try {
+				line = (await rl.question('> ')).trim();
+			} catch (err) {
+				return;
+			}
+			if (!line) continue;
+			if (line === '/exit') return;
+			if (line === '/reset') {
+				conversation = llm.provider.stateful ? null : new Conversation();
+				lastMessageId = null;
+				continue;
+			}
+			controller = new AbortController();
+			try {
+				const result = await runTurn(llm, line, {
+					...chatOptions,
+					...conversation ? {conversation} : lastMessageId && {lastMessageId},
+				}, {...flags, 'signal': controller.signal});
+				lastMessageId = result.lastMessageId;
+			} catch (err) {
+				process.stderr.write(controller.signal.aborted ? '\n' : `Error: ${err.message}\n`);
+			} finally {
+				controller = null;
+			}
+		}
+	} finally {
+		rl.close();
+	}
+};
+
+const main = async () => {
+	const {values, positionals} = parseArgs({options, 'allowPositionals': true});
+	if (values.help) {
+		process.stdout.write(`${usage}\n`);
+		return;
+	}
+	jsonl = values.jsonl;
+	const model = values.model || process.env.POON_LLM_MODEL;
+	if (!model) throw new Error('A model is required, pass --model or set POON_LLM_MODEL');
+	const timeout = values.timeout === undefined ? undefined : Number(values.timeout);
+	if (Number.isNaN(timeout)) throw new Error('--timeout must be a number of milliseconds');
+
+	const llm = new OpenAI({
+		'model': model,
+		'provider': values.provider,
+		'apiBase': values['api-base'],
+		'secretKey': values.provider === 'anthropic' ? process.env.ANTHROPIC_API_KEY : process.env.OPENAI_API_KEY,
+	});
+	const chatOptions = {
+		...values.system && {'systemPrompt': values.system},
+		...values.json && {'json': true},
+		...values.xml && {'xml': values.xml.split(',').map(tag => tag.trim()).filter(Boolean)},
+		...timeout !== undefined && {timeout},
+		...values.tools && {'tools': await loadTools(values.tools)},
+	};
+	const flags = {jsonl};
+
+	let prompt = positionals.join(' ');
+	if (!process.stdin.isTTY) {
+		const input = await readStdin();
+		prompt = [prompt, input.trim()].filter(Boolean).join('\n\n');
+	} else if (!prompt) {
+		await repl(llm, chatOptions, flags);
+		return;
+	}
+	if (!prompt) throw new Error('The prompt is empty');
+
+	const controller = new AbortController();
+	process.once('SIGINT', () => controller.abort());
+	await runTurn(llm, prompt, chatOptions, {...flags, 'signal': controller.signal});
+};
+
+main().catch(err => {
+	if (jsonl) process.stdout.write(`${JSON.stringify({'type': 'error', 'name': err.name, 'message': err.message, 'status': err.status})}\n`);
+	process.stderr.write(`Error: ${err.message}\n`);
+	process.exitCode = 1;
+});
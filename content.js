@@ -0,0 +1,92 @@
+import { loadBuiltin } from './builtins.js';
+import { toBase64, hasSignature } from './util.js';
+
+// Builds the content parts of a user message from the prompt and the image
+// and file attachments of a chat() call. Local files, Buffers and Uint8Arrays
+// are sent as base64 data URLs.
+
+const mimeTypes = {
+	'.png': 'image/png',
+	'.jpg': 'image/jpeg',
+	'.jpeg': 'image/jpeg',
+	'.gif': 'image/gif',
+	'.webp': 'image/webp',
+	'.pdf': 'application/pdf',
+	'.txt': 'text/plain',
+	'.csv': 'text/csv',
+	'.json': 'application/json',
+};
+
+// Recognizes the formats the API accepts from their first bytes
+const sniffMimeType = (data) => {
+	if (hasSignature(data, [0x89, 0x50, 0x4e, 0x47])) return 'image/png';
+	if (hasSignature(data, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+	if (hasSignature(data, 'GIF8')) return 'image/gif';
+	if (hasSignature(data, 'RIFF') && hasSignature(data, 'WEBP', 8)) return 'image/webp';
+	if (hasSignature(data, '%PDF-')) return 'application/pdf';
+	return null;
+};
+
+const isUrl = (value) => /^(https?|data):/i.test(value);
+
+const toDataUrl = (data, mimeType) => `data:${mimeType};base64,${toBase64(data)}`;
+
+// Normalizes a string, Buffer, Uint8Array or {url, path, data, mimeType, ...}
+// attachment
+const toSource = (attachment) => {
+	if (typeof attachment === 'string') return isUrl(attachment) ? {'url': attachment} : {'path': attachment};
+	if (attachment instanceof Uint8Array) return {'data': attachment};
+	if (attachment && typeof attachment === 'object') return attachment;
+	throw new Error('Attachments must be a URL, a file path, a Buffer, a Uint8Array or an object');
+};
+
+// Resolves a source to {data, mimeType, filename}, reading local files
+const load = async (source) => {
+	const [path, fs] = source.path ? await Promise.all([loadBuiltin('node:path'), loadBuiltin('node:fs/promises')]) : [];
+	const data = source.data ?? await fs.readFile(source.path);
+	if (!(data instanceof Uint8Array)) throw new Error('Attachment data must be a Buffer or a Uint8Array');
+	const filename = source.filename || (path && path.basename(source.path));
+	const mimeType = source.mimeType
+		|| (path && mimeTypes[path.extname(source.path).toLowerCase()])
+		|| sniffMimeType(data);
+	if (!mimeType) throw new Error(`Unknown type of attachment ${filename || '(Buffer)'}, pass mimeType`);
+	return {data, mimeType, filename};
+};
+
+export const imagePart = async (image, detail) => {
+	const source = toSource(image);
+	const part = {'type': 'input_image'};
+	if (source.url) {
+		part.image_url = source.url;
+	} else if (source.fileId) {
+		part.file_id = source.fileId;
+	} else {
+		const {data, mimeType} = await load(source);
+		if (!mimeType.startsWith('image/')) throw new Error(`Unsupported image type: ${mimeType}`);
+		part.image_url = toDataUrl(data, mimeType);
+	}
+	if (source.detail || detail) part.detail = source.detail || detail;
+	return part;
+};
+
+export const filePart = async (file) => {
+	const source = toSource(file);
+	if (source.url) return {'type': 'input_file', 'file_url': source.url};
+	if (source.fileId) return {'type': 'input_file', 'file_id': source.fileId};
+	const {data, mimeType, filename} = await load(source);
+	return {
+		'type': 'input_file',
+		'filename': filename || `file.${mimeType.split('/')[1]}`,
+		'file_data': toDataUrl(data, mimeType),
+	};
+};
+
+// Resolves to the prompt string itself when there is nothing to attach
+export const buildInput = async (prompt, {imageUrl, images = [], files = [], imageDetail}) => {
+	if (imageUrl) images = [imageUrl, ...images];
+	if (typeof prompt === 'string' && !images.length && !files.length) return prompt;
+	const content = typeof prompt === 'string' ? [{'type': 'input_text', 'text': prompt}] : [...prompt];
+	for (const image of images) content.push(await imagePart(image, imageDetail));
+	for (const file of files) content.push(await filePart(file));
+	return [{'role': 'user', 'content': content}];
+};
@@ -0,0 +1,81 @@
+// Context strategies prepare the input items sent for a conversation so they
+// fit the model's context window. A strategy is a function
+// (items, {estimateTokens, llm, signal}) => items, sync or async. It must not
+// modify the items it receives; the conversation itself keeps everything.
+
+const placeholderOutput = '[Tool output removed to save context]';
+
+// Rough token count, about four characters per token
+export const estimateTokens = (items) => Math.ceil(JSON.stringify(items).length / 4);
+
+const isUserMessage = (item) => item.role === 'user' && item.type !== 'function_call_output';
+
+// Groups items into turns that each start with a user message, so a
+// function_call and its function_call_output always stay together
+export const splitTurns = (items) => {
+	const turns = [];
+	for (const item of items) {
+		if (!turns.length || isUserMessage(item)) turns.push([]);
+		turns.at(-1).push(item);
+	}
+	return turns;
+};
+
+// Keeps only the last n turns
+export const keepLastTurns = (n) => (items) => splitTurns(items).slice(-n).flat();
+
+// Replaces the oldest tool outputs with a placeholder until the input fits,
+// then drops whole turns from the start. The latest turn is never touched.
+export const trimToTokens = ({maxTokens, placeholder = placeholderOutput}) => (items) => {
+	const turns = splitTurns(items).map(turn => [...turn]);
+	const total = () => estimateTokens(turns.flat());
+	for (const turn of turns.slice(0, -1)) {
+		for (let i = 0; i < turn.length && total() > maxTokens; i++) {
+			if (turn[i].type === 'function_call_output' && turn[i].output !== placeholder) {
+				turn[i] = {...turn[i], 'output': placeholder};
+			}
+		}
+	}
+	while (turns.length > 1 && total() > maxTokens) turns.shift();
+	return turns.flat();
+};
+
+const describeItem = (item) => {
+	if (item.type === 'function_call') return `Tool call ${item.name}(${item.arguments})`;
+	if (item.type === 'function_call_output') return `Tool result: ${item.output}`;
+	const text = typeof item.content === 'string'
+		? item.content
+		: (item.content || []).map(part => part.text || `[${part.type}]`).join(' ');
+	return `${item.role === 'assistant' ? 'Assistant' : 'User'}: ${text}`;
+};
+
+// Once the input is over maxTokens, replaces everything but the last keepTurns
+// turns with a summary written by an extra chat() call. The summary of the
+// same older turns is reused on the next round instead of asked for again.
+export const summarizeOlderTurns = ({
+	maxTokens,
+	keepTurns = 2,
+	llm,
+	systemPrompt = 'Summarize this conversation so it can replace the original. Keep names, facts, decisions and open questions.',
+}) => {
+	let cached = {'key': null, 'summary': null};
+	return async (items, context) => {
+		if (context.estimateTokens(items) <= maxTokens) return items;
+		const turns = splitTurns(items);
+		if (turns.length <= keepTurns) return items;
+		const older = turns.slice(0, -keepTurns).flat();
+		const key = JSON.stringify(older);
+		if (cached.key !== key) {
+			const transcript = older.filter(item => item.type !== 'reasoning').map(describeItem).join('\n');
+			const response = await (llm || context.llm).chat(transcript, {
+				'systemPrompt': systemPrompt,
+				'signal': context.signal,
+			});
+			cached = {key, 'summary': response.content};
+		}
+		return [
+			{'role': 'user', 'content': `Summary of the earlier conversation:\n${cached.summary}`},
+			...turns.slice(-keepTurns).flat(),
+		];
+	};
+};
@@ -0,0 +1,24 @@
+// Client-side conversation history. Holds Responses API input items (user
+// and assistant messages, function calls and their outputs) so a chat can be
+// replayed as an explicit input array instead of relying on
+// previous_response_id.
+export class Conversation {
+	constructor(items = []) {
+		if (!Array.isArray(items)) throw new Error('Conversation items must be an array');
+		this.items = items;
+	}
+
+	push = (...items) => {
+		this.items.push(...items);
+		return this;
+	};
+
+	// Copies the first `length` items into a new, independent conversation
+	fork = (length = this.items.length) => new Conversation(structuredClone(this.items.slice(0, length)));
+
+	toJSON = () => ({'items': this.items});
+
+	static fromJSON = (data) => new Conversation((typeof data === 'string' ? JSON.parse(data) : data).items);
+}
+
+export default Conversation;
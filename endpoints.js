@@ -0,0 +1,198 @@
+import { requestJson, multipartBody, retryDelay, sleep, mapConcurrent, emptyUsage, addUsage, usageCost, parseRateLimit, fromBase64, hasSignature } from './util.js';
+import { loadBuiltin } from './builtins.js';
+import { isRetryable } from './errors.js';
+
+// Embeddings, moderation and audio transcription. They are plain JSON or
+// multipart requests to the client's apiBase, sent with its headers and
+// retried like chat() requests.
+
+// Providers that serve the OpenAI endpoints under /v1
+const supportedProviders = ['openai', 'chat-completions'];
+
+const checkProvider = (llm, feature) => {
+	if (!supportedProviders.includes(llm.provider.name)) throw new Error(`${feature} is not supported by the ${llm.provider.name} provider`);
+};
+
+// Sends one request, retrying rate limits, server errors and dropped
+// connections with the client's backoff settings
+const callApi = async (llm, apiPath, {method = 'POST', headers, body, timeout, signal, maxRetries = llm.retry.maxRetries}) => {
+	if (!Number.isInteger(maxRetries) || maxRetries < 0) throw new Error('maxRetries must be a non-negative integer');
+	if (typeof timeout !== 'number') throw new Error('Timeout must be a number');
+	for (let attempt = 0; ; attempt++) {
+		try {
+			return await requestJson(new URL(apiPath, llm.apiBase), {
+				'transport': llm.transport,
+				'method': method,
+				'headers': {...llm.headers, ...headers},
+				'body': body,
+				'timeout': timeout,
+				'signal': signal,
+			});
+		} catch (err) {
+			const rateLimit = parseRateLimit(err.headers);
+			if (rateLimit) llm.emit('ratelimit', rateLimit);
+			if (signal?.aborted || attempt >= maxRetries || !isRetryable(err)) throw err;
+			const wait = retryDelay(err, attempt, llm.retry);
+			llm.logger?.warn('[LLM Retry]', `attempt=${attempt + 1}`, `delay=${Math.round(wait)}ms`, err.message);
+			await sleep(wait, signal);
+		}
+	}
+};
+
+// Adds input token usage to the client's running total, with its cost
+const trackUsage = (llm, model, usage) => {
+	const total = {...emptyUsage(), 'inputTokens': usage?.prompt_tokens || 0, 'totalTokens': usage?.total_tokens || usage?.prompt_tokens || 0};
+	const cost = usageCost(total, llm.prices[model] && {'output': 0, ...llm.prices[model]});
+	if (cost !== null) total.cost = cost;
+	addUsage(llm.usage, total);
+	return total;
+};
+
+// base64 embeddings are little-endian float32 arrays
+const decodeEmbedding = (embedding) => {
+	if (typeof embedding !== 'string') return embedding;
+	const bytes = fromBase64(embedding);
+	const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+	return Float32Array.from({'length': bytes.byteLength / 4}, (_, i) => view.getFloat32(i * 4, true));
+};
+
+export const embed = async (llm, input, {
+	model = 'text-embedding-3-small',
+	dimensions,
+	encodingFormat = 'float',
+	batchSize = 2048,
+	concurrency = 1,
+	user,
+	timeout = 60000,
+	maxRetries,
+	signal,
+} = {}) => {
+	checkProvider(llm, 'Embeddings');
+	const inputs = typeof input === 'string' ? [input] : input;
+	if (!Array.isArray(inputs) || !inputs.length || inputs.some(text => typeof text !== 'string')) {
+		throw new Error('Embedding input must be a string or a non-empty array of strings');
+	}
+	if (!['float', 'base64'].includes(encodingFormat)) throw new Error('encodingFormat must be "float" or "base64"');
+	if (!Number.isInteger(batchSize) || batchSize < 1) throw new Error('batchSize must be a positive integer');
+	if (!Number.isInteger(concurrency) || concurrency < 1) throw new Error('concurrency must be a positive integer');
+
+	const batches = [];
+	for (let i = 0; i < inputs.length; i += batchSize) batches.push(inputs.slice(i, i + batchSize));
+	const responses = await mapConcurrent(batches, concurrency, batch => callApi(llm, '/v1/embeddings', {
+		'body': {
+			'model': model,
+			'input': batch,
+			'encoding_format': encodingFormat,
+			...dimensions && {'dimensions': dimensions},
+			...user && {'user': user},
+		},
+		timeout,
+		maxRetries,
+		signal,
+	}));
+
+	// Data can arrive out of order, each entry carries its index in the batch
+	const embeddings = responses.flatMap(response => [...response.data]
+		.sort((a, b) => a.index - b.index)
+		.map(entry => decodeEmbedding(entry.embedding)));
+	const usage = emptyUsage();
+	for (const response of responses) addUsage(usage, trackUsage(llm, model, response.usage));
+	return {embeddings, 'model': responses[0].model || model, usage};
+};
+
+// Input is a string, an array of strings, or moderation content parts such
+// as {type: 'image_url', image_url: {url}}
+export const moderate = async (llm, input, {
+	model = 'omni-moderation-latest',
+	timeout = 60000,
+	maxRetries,
+	signal,
+} = {}) => {
+	checkProvider(llm, 'Moderation');
+	if (typeof input !== 'string' && (!Array.isArray(input) || !input.length)) throw new Error('Moderation input must be a string or a non-empty array');
+	const response = await callApi(llm, '/v1/moderations', {'body': {'model': model, 'input': input}, timeout, maxRetries, signal});
+	const results = response.results.map(result => ({
+		'flagged': result.flagged,
+		'categories': result.categories,
+		'categoryScores': result.category_scores,
+		...result.category_applied_input_types && {'categoryAppliedInputTypes': result.category_applied_input_types},
+	}));
+	return {'flagged': results.some(result => result.flagged), results, 'model': response.model || model};
+};
+
+const audioTypes = {
+	'.mp3': 'audio/mpeg',
+	'.mp4': 'audio/mp4',
+	'.m4a': 'audio/mp4',
+	'.mpeg': 'audio/mpeg',
+	'.mpga': 'audio/mpeg',
+	'.wav': 'audio/wav',
+	'.webm': 'audio/webm',
+	'.ogg': 'audio/ogg',
+	'.flac': 'audio/flac',
+};
+
+// The API tells formats apart by file extension, so data without a
+// filename gets one from its first bytes
+const sniffAudioExtension = (data) => {
+	if (hasSignature(data, 'RIFF') && hasSignature(data, 'WAVE', 8)) return '.wav';
+	if (hasSignature(data, 'ID3') || (data[0] === 0xff && (data[1] & 0xe0) === 0xe0)) return '.mp3';
+	if (hasSignature(data, 'OggS')) return '.ogg';
+	if (hasSignature(data, 'fLaC')) return '.flac';
+	if (hasSignature(data, 'ftyp', 4)) return '.m4a';
+	if (hasSignature(data, [0x1a, 0x45, 0xdf, 0xa3])) return '.webm';
+	return null;
+};
+
+// Resolves a file path, Buffer, Uint8Array or {path, data, filename} to an
+// upload. Only file paths need node:fs.
+const loadAudio = async (audio) => {
+	const source = typeof audio === 'string' ? {'path': audio} : audio instanceof Uint8Array ? {'data': audio} : audio;
+	if (!source || typeof source !== 'object') throw new Error('Audio must be a file path, a Buffer or an object');
+	const [path, fs] = source.path ? await Promise.all([loadBuiltin('node:path'), loadBuiltin('node:fs/promises')]) : [];
+	const data = source.data ?? await fs.readFile(source.path);
+	if (!(data instanceof Uint8Array)) throw new Error('Audio data must be a Buffer or a Uint8Array');
+	let filename = source.filename || (path && path.basename(source.path));
+	if (!filename) {
+		const extension = sniffAudioExtension(data);
+		if (!extension) throw new Error('Unknown audio format, pass a filename');
+		filename = `audio${extension}`;
+	}
+	const extension = /\.[^./\\]*$/.exec(filename)?.[0] || '';
+	const contentType = source.mimeType || audioTypes[extension.toLowerCase()] || 'application/octet-stream';
+	return {data, filename, contentType};
+};
+
+// Resolves with {text, ...} for the JSON formats, and {text} holding the raw
+// body for text, srt and vtt
+export const transcribe = async (llm, audio, {
+	model = 'gpt-4o-mini-transcribe',
+	language,
+	prompt,
+	responseFormat = 'json',
+	temperature,
+	timestampGranularities,
+	timeout = 300000,
+	maxRetries,
+	signal,
+} = {}) => {
+	checkProvider(llm, 'Transcription');
+	if (timestampGranularities && !Array.isArray(timestampGranularities)) throw new Error('timestampGranularities must be an array');
+	const upload = multipartBody({
+		'file': await loadAudio(audio),
+		'model': model,
+		'language': language,
+		'prompt': prompt,
+		'response_format': responseFormat,
+		'temperature': temperature,
+		'timestamp_granularities[]': timestampGranularities,
+	});
+	const response = await callApi(llm, '/v1/audio/transcriptions', {
+		'headers': {'Content-Type': upload.contentType},
+		'body': upload.body,
+		timeout,
+		maxRetries,
+		signal,
+	});
+	return typeof response === 'string' ? {'text': response} : response;
+};
@@ -0,0 +1,99 @@
+// Base class for every error the API or the transport produces. Carries the
+// HTTP status and the parsed response body when there is one.
+export class LLMError extends Error {
+	constructor(message, {status, body, headers, cause} = {}) {
+		super(message, {cause});
+		this.name = 'LLMError';
+		this.status = status ?? null;
+		this.body = body ?? null;
+		this.headers = headers || {};
+	}
+}
+
+export class BadRequestError extends LLMError {
+	name = 'BadRequestError';
+}
+
+export class AuthError extends LLMError {
+	name = 'AuthError';
+}
+
+export class RateLimitError extends LLMError {
+	name = 'RateLimitError';
+}
+
+export class ServerError extends LLMError {
+	name = 'ServerError';
+}
+
+export class TimeoutError extends LLMError {
+	name = 'TimeoutError';
+}
+
+// Socket errors such as resets and hang ups
+export class ConnectionError extends LLMError {
+	name = 'ConnectionError';
+}
+
+// The final response could not be parsed or did not match the requested
+// schema. Carries the raw text and the {path, message} validation errors.
+export class OutputValidationError extends LLMError {
+	constructor(message, {text, errors, cause} = {}) {
+		super(message, {cause});
+		this.name = 'OutputValidationError';
+		this.text = text;
+		this.errors = errors || [];
+	}
+}
+
+// JSON-RPC error from an MCP server, or a tool result flagged isError.
+// Carries the JSON-RPC error code and data when there are any.
+export class McpError extends LLMError {
+	constructor(message, {code, data, cause} = {}) {
+		super(message, {cause});
+		this.name = 'McpError';
+		this.code = code ?? null;
+		this.data = data ?? null;
+	}
+}
+
+// Picks the error class matching an HTTP error status
+export const createHttpError = (status, body, headers) => {
+	const message = `LLM failed, ${status}, ${JSON.stringify(body)}`;
+	const details = {status, body, headers};
+	if (status === 400 || status === 422) return new BadRequestError(message, details);
+	if (status === 401 || status === 403) return new AuthError(message, details);
+	if (status === 408) return new TimeoutError(message, details);
+	if (status === 429) return new RateLimitError(message, details);
+	if (status >= 500) return new ServerError(message, details);
+	return new LLMError(message, details);
+};
+
+// HTTP statuses for the error codes APIs send inside a stream, such as the
+// Responses API's error and response.failed events and Anthropic's error event
+const streamErrorStatuses = {
+	'rate_limit_exceeded': 429,
+	'rate_limit_error': 429,
+	'server_error': 500,
+	'api_error': 500,
+	'overloaded_error': 529,
+	'timeout': 408,
+	'invalid_request_error': 400,
+	'invalid_prompt': 400,
+	'context_length_exceeded': 400,
+	'authentication_error': 401,
+	'permission_error': 403,
+};
+
+// Picks the error class for an {code or type, message} error reported inside
+// a stream. Unknown codes count as server errors.
+export const createStreamError = (error = {}, body = error) => {
+	const code = error.code || error.type;
+	const status = streamErrorStatuses[code] ?? (/^invalid_/.test(code) ? 400 : 500);
+	return createHttpError(status, body, {});
+};
+
+export const isRetryable = (err) => err instanceof RateLimitError
+	|| err instanceof ServerError
+	|| err instanceof TimeoutError
+	|| err instanceof ConnectionError;
@@ -0,0 +1,157 @@
+import { send, defaultTransport } from './transport.js';
+import { loadBuiltin } from './builtins.js';
+
+// Record/replay fixtures for offline tests. Both run a local server that the
+// client reaches through its apiBase: the recorder forwards requests to the
+// real API and saves each payload with the raw response body, the replayer
+// answers from those recordings and checks the payloads match. They need
+// Node, whose modules load on first use.
+
+// Response headers worth keeping, request headers are never saved
+const keptHeaders = ['content-type', 'retry-after', 'retry-after-ms'];
+
+const listen = async (handler) => {
+	const http = await loadBuiltin('node:http');
+	const server = http.createServer((req, res) => {
+		let body = '';
+		req.setEncoding('utf8');
+		req.on('data', chunk => body += chunk);
+		req.on('end', () => handler(req, res, body));
+	});
+	await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+	return {server, 'apiBase': `http://127.0.0.1:${server.address().port}`};
+};
+
+const closeServer = (server) => new Promise(resolve => {
+	server.close(() => resolve());
+	server.closeAllConnections();
+});
+
+const parseBody = (body) => {
+	try {
+		return JSON.parse(body);
+	} catch (err) {
+		return body;
+	}
+};
+
+// Path of the first value that differs between two payloads, e.g. $.input[1]
+const firstDifference = (a, b, isDeepStrictEqual, path = '$') => {
+	if (isDeepStrictEqual(a, b)) return null;
+	if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) return path;
+	for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+		const difference = firstDifference(a[key], b[key], isDeepStrictEqual, Array.isArray(a) ? `${path}[${key}]` : `${path}.${key}`);
+		if (difference) return difference;
+	}
+	return path;
+};
+
+const omit = (payload, keys) => {
+	if (!payload || typeof payload !== 'object') return payload;
+	const copy = {...payload};
+	for (const key of keys) delete copy[key];
+	return copy;
+};
+
+// Proxies to apiBase through transport and records every exchange. save()
+// writes the fixture file, close() stops the server and saves.
+export const recordFixtures = async ({file, apiBase = 'https://api.openai.com', transport = defaultTransport()}) => {
+	const interactions = [];
+	const {server, 'apiBase': localBase} = await listen(async (req, res, body) => {
+		const interaction = {'method': req.method, 'path': req.url, 'payload': parseBody(body)};
+		const index = interactions.push(interaction) - 1;
+		const headers = {...req.headers};
+		delete headers['host'];
+		delete headers['accept-encoding'];
+		delete headers['connection'];
+		delete headers['content-length'];
+
+		try {
+			const response = await send(transport, {
+				'url': new URL(req.url, apiBase),
+				'method': req.method,
+				'headers': headers,
+				'body': body || undefined,
+			});
+			interaction.status = response.status;
+			interaction.headers = {};
+			for (const name of keptHeaders) {
+				if (response.headers[name]) interaction.headers[name] = response.headers[name];
+			}
+			// Chunks can split a multi-byte character, decode them together
+			const chunks = [];
+			res.writeHead(response.status, response.headers);
+			for await (const chunk of response.body) {
+				chunks.push(chunk);
+				res.write(chunk);
+			}
+			interaction.body = Buffer.concat(chunks).toString();
+			res.end();
+		} catch (err) {
+			interactions.splice(index, 1);
+			if (res.headersSent) return res.destroy(err);
+			res.writeHead(502, {'Content-Type': 'application/json'});
+			res.end(JSON.stringify({'error': {'type': 'fixture_proxy_error', 'message': err.message}}));
+		}
+	});
+
+	const save = async () => {
+		const {writeFile} = await loadBuiltin('node:fs/promises');
+		await writeFile(file, JSON.stringify({'interactions': interactions}, null, '\t'));
+	};
+
+	return {
+		'apiBase': localBase,
+		'interactions': interactions,
+		'save': save,
+		'close': async () => {
+			await closeServer(server);
+			await save();
+		},
+	};
+};
+
+// Serves recorded interactions in order. A request whose path or payload does
+// not match gets a 400 fixture_mismatch error, which chat() rejects with.
+// match(recorded, actual) replaces the comparison, ignore lists payload keys
+// left out of it.
+export const replayFixtures = async ({file, fixtures, match, ignore = []}) => {
+	const [{readFile}, {isDeepStrictEqual}] = await Promise.all([loadBuiltin('node:fs/promises'), loadBuiltin('node:util')]);
+	const {interactions} = fixtures || JSON.parse(await readFile(file, 'utf8'));
+	const errors = [];
+	let next = 0;
+
+	const fail = (res, message) => {
+		errors.push(new Error(message));
+		res.writeHead(400, {'Content-Type': 'application/json'});
+		res.end(JSON.stringify({'error': {'type': 'fixture_mismatch', 'message': message}}));
+	};
+
+	const {server, apiBase} = await listen((req, res, body) => {
+		const n = next + 1;
+		const interaction = interactions[next++];
+		if (!interaction) return fail(res, `Request ${n} to ${req.url} has no recorded fixture`);
+		if (req.url !== interaction.path) return fail(res, `Request ${n} went to ${req.url}, the fixture expects ${interaction.path}`);
+		const actual = parseBody(body);
+		const matches = match
+			? match(interaction.payload, actual)
+			: isDeepStrictEqual(omit(interaction.payload, ignore), omit(actual, ignore));
+		if (!matches) {
+			const difference = match ? '' : ` at ${firstDifference(omit(interaction.payload, ignore), omit(actual, ignore), isDeepStrictEqual)}`;
+			return fail(res, `Request ${n} payload does not match the fixture${difference}`);
+		}
+		res.writeHead(interaction.status, interaction.headers);
+		res.end(interaction.body);
+	});
+
+	return {
+		'apiBase': apiBase,
+		'errors': errors,
+		// Throws when a request mismatched or recorded interactions were not used
+		'assertDone': () => {
+			if (errors.length) throw errors[0];
+			if (next < interactions.length) throw new Error(`${interactions.length - next} recorded requests were not replayed`);
+		},
+		'close': () => closeServer(server),
+	};
+};
@@ -1,48 +1,228 @@
-import { EventEmitter } from 'node:events';
-import { request, consumeStreamAsync, parseJson, parseXml, prettyResponse } from './util.js';
+import { EventEmitter } from './builtins.js';
+import {
+	postStream,
+	parseJson,
+	parseXml,
+	raceSignal,
+	retryDelay,
+	sleep,
+	mapConcurrent,
+	emptyUsage,
+	parseUsage,
+	addUsage,
+	usageCost,
+	parseRateLimit,
+} from './util.js';
+import { isRetryable, createStreamError, OutputValidationError } from './errors.js';
+import { validateSchema, formatSchemaErrors } from './schema.js';
+import { resolveProvider } from './providers/index.js';
+import { Conversation } from './conversation.js';
+import { estimateTokens } from './context.js';
+import { buildInput } from './content.js';
+import { renderTemplate, validateTemplate } from './templates.js';
+import { cacheKey } from './cache.js';
+import { createRedactor, startSpan, endSpan } from './observability.js';
+import { runBatch, runBatchApi } from './batch.js';
+import { embed, moderate, transcribe } from './endpoints.js';
+import { createNodeTransport } from './transport.js';
+
+const isErrorPolicy = (policy) => policy === 'throw' || policy === 'report' || typeof policy === 'function';
+
+// Output items of the built-in tools the API runs itself, e.g. web_search_call
+const isHostedItem = (item) => Boolean(item?.type)
+	&& item.type !== 'function_call'
+	&& (item.type.endsWith('_call') || item.type.startsWith('mcp_'));
+
+// Progress events of hosted tools, e.g. response.web_search_call.searching
+const hostedStatusEvent = /^response\.(\w+)\.(in_progress|searching|interpreting|generating|completed|failed)$/;
+
+const hostedInput = (item) => {
+	if (item.action) return item.action;
+	if (item.queries) return {'queries': item.queries};
+	if (item.code !== undefined && item.code !== null) return {'code': item.code};
+	try {
+		return item.arguments ? JSON.parse(item.arguments) : null;
+	} catch (err) {
+		return null;
+	}
+};
+
+const hostedOutput = (item) => item.results ?? item.outputs ?? item.output ?? item.result ?? item.tools ?? null;
+
+// Arguments that are not JSON become a validation error runTool reports back
+const parseToolArguments = (message) => {
+	try {
+		message.input = JSON.parse(message.arguments || '{}');
+		delete message.validationErrors;
+	} catch (err) {
+		message.input = null;
+		message.validationErrors = [{'path': '$', 'message': `is not valid JSON (${err.message})`}];
+	}
+};
 
 export default class OpenAI extends EventEmitter {
 	constructor({
 		model,
-		apiBase = 'https://api.openai.com',
+		provider = 'openai',
+		apiBase,
 		secretKey,
 		headers = {},
+		maxRetries = 2,
+		retryDelay = 500,
+		maxRetryDelay = 8000,
+		prices = {},
+		templates = {},
+		partials = {},
+		cache = null,
+		logger = null,
+		hooks = {},
+		tracer = null,
+		redact = 'secrets',
+		transport,
+		keepAlive = true,
+		maxSockets,
+		proxy,
+		tls,
+		agent,
 	}) {
 		super();
+		if (transport !== undefined && typeof transport !== 'function') throw new Error('transport must be a function');
+		if (transport && (proxy || tls || agent)) throw new Error('Choose either transport or proxy, tls and agent options, not both');
 		this.model = model;
-		this.apiBase = apiBase;
+		this.provider = resolveProvider(provider);
+		this.apiBase = apiBase || this.provider.apiBase;
+		this.retry = {maxRetries, retryDelay, maxRetryDelay};
+		this.prices = prices;
+		this.usage = emptyUsage();
+		this.cache = cache;
+		this.logger = logger;
+		this.hooks = hooks || {};
+		this.tracer = tracer;
+		this.redact = createRedactor(redact);
+		// Each client pools its own connections
+		this.transport = transport || createNodeTransport({keepAlive, maxSockets, proxy, tls, agent});
 		this.headers = {'Content-Type': 'application/json', ...headers};
-		if (secretKey) this.headers['Authorization'] = `Bearer ${secretKey}`;
+		if (secretKey) Object.assign(this.headers, this.provider.authHeaders(secretKey));
+		this.templates = {};
+		this.partials = {};
+		for (const [name, template] of Object.entries(templates)) this.addTemplate(name, template);
+		for (const [name, text] of Object.entries(partials)) this.addPartial(name, text);
 	}
 
+	// Registers a named {prompt, systemPrompt, version} template for chat()
+	addTemplate = (name, template) => {
+		validateTemplate(name, template);
+		this.templates[name] = template;
+		return this;
+	};
+
+	// Registers a mustache partial that templates include with {{> name}}
+	addPartial = (name, text) => {
+		if (typeof text !== 'string') throw new Error(`Partial "${name}" must be a string`);
+		this.partials[name] = text;
+		return this;
+	};
+
 	chat = async (prompt, {
 		imageUrl,
+		images,
+		files,
+		imageDetail,
 		json,
+		schema,
+		schemaName = 'response',
+		repair = false,
 		xml,
 		lastMessageId,
+		conversation,
+		context,
+		truncation,
+		store,
 		systemPrompt,
+		template,
+		variables = {},
 		maxTokens,
+		reasoning,
 		temperature,
 		topP,
 		onMessage,
 		onUpdate,
+		onEvent,
+		updateInterval = 150,
 		timeout = 60000,
 		debug = false,
 		tools,
+		hostedTools,
+		toolChoice,
+		parallelToolCalls,
+		onToolError = 'throw',
+		maxToolRounds = 20,
+		toolConcurrency = 1,
+		toolTimeout,
+		approve,
+		approvals,
+		pendingToolCalls,
+		signal,
+		maxRetries = this.retry.maxRetries,
+		cache = this.cache,
 	} = {}) => {
-		if (typeof prompt !== 'string') throw new Error('Prompt must be a string');
+		if (template && !this.templates[template]) throw new Error(`Unknown template: ${template}`);
+		if (!variables || typeof variables !== 'object') throw new Error('variables must be an object');
+		if (template && this.templates[template].prompt !== undefined) {
+			if (prompt != null) throw new Error(`Choose either a prompt or template "${template}", not both`);
+			prompt = renderTemplate(this.templates[template].prompt, variables, this.partials, template);
+		}
+		if (template && this.templates[template].systemPrompt !== undefined) {
+			if (systemPrompt) throw new Error(`Choose either systemPrompt or template "${template}", not both`);
+			systemPrompt = renderTemplate(this.templates[template].systemPrompt, variables, this.partials, template);
+		}
+		if (typeof prompt !== 'string' && !Array.isArray(prompt) && !pendingToolCalls) throw new Error('Prompt must be a string or an array of content parts');
+		if (images && !Array.isArray(images)) throw new Error('images must be an array');
+		if (files && !Array.isArray(files)) throw new Error('files must be an array');
+		if (imageDetail && !['auto', 'low', 'high'].includes(imageDetail)) throw new Error('imageDetail must be "auto", "low" or "high"');
 		if (typeof timeout !== 'number') throw new Error('Timeout must be a number');
+		if (typeof updateInterval !== 'number') throw new Error('updateInterval must be a number');
+		if (!Number.isInteger(maxRetries) || maxRetries < 0) throw new Error('maxRetries must be a non-negative integer');
 		if (topP !== undefined && typeof topP !== 'number') throw new Error('topP must be a number');
-		if (xml && !Array.isArray(xml)) throw new Error('XML must be an array of strings');
-		if (xml && json) throw new Error('Choose either XML or JSON, not both');
+		if (reasoning !== undefined && (!reasoning || typeof reasoning !== 'object')) throw new Error('reasoning must be an object');
+		if (xml && typeof xml !== 'object') throw new Error('XML must be an array of tags or an object of tag types');
+		if (xml && (json || schema)) throw new Error('Choose either XML or JSON, not both');
+		if (schema && (typeof schema !== 'object' || Array.isArray(schema))) throw new Error('schema must be a JSON Schema object');
 		if (lastMessageId && typeof lastMessageId !== 'string') throw new Error('lastMessageId must be a string');
 		if (tools && (typeof tools !== 'object' || Array.isArray(tools))) throw new Error('tools must be an object');
+		if (hostedTools && (!Array.isArray(hostedTools) || hostedTools.some(tool => typeof tool?.type !== 'string'))) {
+			throw new Error('hostedTools must be an array of tool objects with a type');
+		}
+		if (hostedTools?.length && !this.provider.hostedTools) throw new Error(`hostedTools are not supported by the ${this.provider.name} provider`);
+		if (toolChoice !== undefined && !['auto', 'none', 'required'].includes(toolChoice) && (typeof toolChoice !== 'object' || !toolChoice)) {
+			throw new Error('toolChoice must be "auto", "none", "required" or a tool object');
+		}
+		if (parallelToolCalls !== undefined && typeof parallelToolCalls !== 'boolean') throw new Error('parallelToolCalls must be a boolean');
+		if (!isErrorPolicy(onToolError)) throw new Error('onToolError must be "throw", "report" or a function');
+		if (!Number.isInteger(maxToolRounds) || maxToolRounds < 0) throw new Error('maxToolRounds must be a non-negative integer');
+		if (!Number.isInteger(toolConcurrency) || toolConcurrency < 1) throw new Error('toolConcurrency must be a positive integer');
+		if (toolTimeout !== undefined && typeof toolTimeout !== 'number') throw new Error('toolTimeout must be a number');
+		if (approve && typeof approve !== 'function') throw new Error('approve must be a function');
+		if (pendingToolCalls && !Array.isArray(pendingToolCalls)) throw new Error('pendingToolCalls must be an array');
+		if (pendingToolCalls && !lastMessageId && !conversation) throw new Error('Resuming pendingToolCalls requires lastMessageId or conversation');
+		if (conversation && !(conversation instanceof Conversation)) throw new Error('conversation must be a Conversation');
+		if (conversation && lastMessageId) throw new Error('Choose either lastMessageId or conversation, not both');
+		if (context && typeof context !== 'function') throw new Error('context must be a function');
+		if (context && !conversation) throw new Error('context requires a conversation');
+		if (lastMessageId && !this.provider.stateful) throw new Error(`lastMessageId is not supported by the ${this.provider.name} provider`);
+		if (signal && typeof signal.addEventListener !== 'function') throw new Error('signal must be an AbortSignal');
+		if (cache && (typeof cache.get !== 'function' || typeof cache.set !== 'function')) throw new Error('cache must have get and set methods');
+
+		// debug without a logger prints to the console
+		const logger = this.logger || (debug ? console : null);
+		const hooks = this.hooks;
+		const redact = this.redact;
 
 		const toolDefinitions = [];
-		const toolHandlers = {};
+		const toolConfigs = {};
 		for (const [name, tool] of Object.entries(tools || {})) {
 			if (typeof tool === 'function') {
-				toolHandlers[name] = tool;
+				toolConfigs[name] = {'run': tool};
 				toolDefinitions.push({
 					'type': 'function',
 					'name': name,
@@ -53,7 +233,9 @@ export default class OpenAI extends EventEmitter {
 			}
 			if (!tool || typeof tool !== 'object') throw new Error(`Invalid tool: ${name}`);
 			if (typeof tool.run !== 'function') throw new Error(`Tool "${name}" must define a run function`);
-			toolHandlers[name] = tool.run;
+			if (tool.onError && !isErrorPolicy(tool.onError)) throw new Error(`Tool "${name}" onError must be "throw", "report" or a function`);
+			if (tool.timeout !== undefined && typeof tool.timeout !== 'number') throw new Error(`Tool "${name}" timeout must be a number`);
+			toolConfigs[name] = tool;
 			toolDefinitions.push({
 				'type': 'function',
 				'name': name,
@@ -66,11 +248,17 @@ export default class OpenAI extends EventEmitter {
 			});
 		}
 
+		// A suspended chat resumes from lastMessageId or the conversation, and
+		// stateless providers have no lastMessageId to resume from
+		const canSuspend = this.provider.stateful || Boolean(conversation);
+		const suspendError = `Suspending tool calls for approval with the ${this.provider.name} provider requires a conversation`;
+		if (!canSuspend && !approve && Object.values(toolConfigs).some(tool => tool.requiresApproval)) throw new Error(suspendError);
+
 		let latestUpdate = null;
 		let isUpdating = false;
 		let updateCount = 0;
 		let chain = Promise.resolve();
-		const delay = () => new Promise(resolve => setTimeout(resolve, 150));
+		const delay = () => new Promise(resolve => setTimeout(resolve, updateInterval));
 		const sendUpdate = (message) => {
 			this.emit('update', message);
 			if (!onUpdate) return;
@@ -83,7 +271,7 @@ export default class OpenAI extends EventEmitter {
 					updateCount++;
 					isUpdating = true;
 					await onUpdate(next, updateCount);
-					await delay();
+					if (updateInterval > 0) await delay();
 					isUpdating = false;
 				}
 			});
@@ -92,218 +280,648 @@ export default class OpenAI extends EventEmitter {
 		const state = {
 			'messages': [],
 			'toolCalls': new Map(),
+			'hostedCalls': new Map(),
+			'reasoning': new Map(),
 			'assistantMessage': null,
 			'lastMessageId': lastMessageId || null,
+			'usage': emptyUsage(),
+			'rounds': 0,
+			'cachedRounds': 0,
+			'replaying': false,
+			// Whether the current request streamed any output, and completed
+			'roundOutput': false,
+			'roundCompleted': false,
+		};
+
+		let input = pendingToolCalls ? null : await buildInput(prompt, {imageUrl, images, files, imageDetail});
+
+		const sendEvent = async (event) => {
+			if (onEvent) await onEvent(event);
+		};
+
+		// Registers a tool call message, either streamed or restored on resume
+		const addToolMessage = (call) => {
+			const message = {
+				'_id': call._id,
+				'role': 'tool',
+				'type': 'tool_call',
+				'name': call.name,
+				'tool': call.name,
+				'arguments': call.arguments,
+				'options': call.arguments,
+				'input': call.input ?? null,
+				...call.approval && {'approval': call.approval},
+				'output': null,
+				'result': null,
+				'status': 'requested',
+				'lastMessageId': state.lastMessageId,
+			};
+			state.toolCalls.set(message._id, message);
+			state.messages.push(message);
+			this.emit('message', message);
+			return message;
 		};
 
-		let input = !imageUrl ? prompt : [{
-			'role': 'user',
-			'content': [
-				{'type': 'input_text', 'text': prompt},
-				{'type': 'input_image', 'image_url': imageUrl},
-			],
-		}];
+		// Registers a built-in tool call that the API runs on its side
+		const addHostedMessage = (item) => {
+			const message = {
+				'_id': item.id,
+				'role': 'tool',
+				'type': 'hosted_tool_call',
+				'name': item.type === 'mcp_call' ? item.name : item.type.replace(/_call$/, ''),
+				'tool': item.type,
+				'arguments': item.arguments || item.code || '',
+				'input': hostedInput(item),
+				'output': null,
+				'result': null,
+				'status': item.status || 'in_progress',
+				'lastMessageId': state.lastMessageId,
+			};
+			if (item.server_label) message.server = item.server_label;
+			state.hostedCalls.set(message._id, message);
+			state.messages.push(message);
+			this.emit('message', message);
+			return message;
+		};
+
+		// Registers a reasoning item, its summary streams in as content
+		const addReasoningMessage = async (item) => {
+			const message = {
+				'_id': item.id,
+				'role': 'assistant',
+				'type': 'reasoning',
+				'content': '',
+				'summary': [],
+				'item': item,
+				'status': 'streaming',
+				'lastMessageId': state.lastMessageId,
+			};
+			state.reasoning.set(message._id, message);
+			state.messages.push(message);
+			this.emit('message', message);
+			if (onMessage) await onMessage(message);
+			return message;
+		};
+
+		const handleEvent = async (event) => {
+			if (signal?.aborted) return;
+			logger?.debug('[LLM Event]', event.type, redact(event));
+
+			// Failures reported inside the stream reject like HTTP errors
+			if (event.type === 'error') throw createStreamError(event);
+			if (event.type === 'response.failed') throw createStreamError(event.response?.error || {}, event);
+
+			if (event.type === 'response.created' || event.type === 'response.completed') {
+				const responseId = event.id || event.response?.id || null;
+				if (responseId) state.lastMessageId = responseId;
+				if (state.assistantMessage && state.assistantMessage.lastMessageId !== state.lastMessageId) {
+					state.assistantMessage.lastMessageId = state.lastMessageId;
+					sendUpdate(state.assistantMessage);
+				}
+				if (event.type === 'response.completed') {
+					state.roundCompleted = true;
+					// Replayed rounds cost nothing, so their recorded usage is not counted
+					if (event.response?.usage && !state.replaying) {
+						const usage = parseUsage(event.response.usage);
+						const cost = usageCost(usage, this.prices[this.model]);
+						if (cost !== null) usage.cost = cost;
+						state.roundUsage = usage;
+						addUsage(state.usage, usage);
+						addUsage(this.usage, usage);
+						this.emit('usage', usage);
+						await sendEvent({'type': 'usage', 'usage': usage});
+					}
+					await sendEvent({'type': 'completed', 'lastMessageId': state.lastMessageId});
+				}
+				return;
+			}
+			if (event.type !== 'response.in_progress') state.roundOutput = true;
+
+			if (event.type === 'response.output_item.added' && event.item?.type === 'function_call') {
+				const _id = event.item.call_id || event.item.id;
+				if (!_id) throw new Error('Tool call id missing from API response');
+				const message = addToolMessage({
+					'_id': _id,
+					'name': event.item.name,
+					'arguments': event.item.arguments || '',
+				});
+				if (onMessage) await onMessage(message);
+				await sendEvent({'type': 'tool_call_started', 'message': message});
+				return;
+			}
+
+			if (event.type === 'response.output_item.added' && event.item?.type === 'reasoning') {
+				await addReasoningMessage(event.item);
+				return;
+			}
+
+			if (event.type === 'response.reasoning_summary_text.delta') {
+				const message = state.reasoning.get(event.item_id);
+				if (!message) return;
+				const index = event.summary_index || 0;
+				// Summary parts read as paragraphs
+				if (message.summary[index] === undefined && message.content) message.content += '\n\n';
+				message.summary[index] = (message.summary[index] || '') + (event.delta || '');
+				message.content += event.delta || '';
+				sendUpdate(message);
+				await sendEvent({'type': 'reasoning_delta', 'delta': event.delta || '', 'message': message});
+				return;
+			}
+
+			if (event.type === 'response.output_item.done' && event.item?.type === 'reasoning') {
+				const message = state.reasoning.get(event.item.id) || await addReasoningMessage(event.item);
+				const summary = (event.item.summary || []).map(part => part.text);
+				if (summary.length) {
+					message.summary = summary;
+					message.content = summary.join('\n\n');
+				}
+				// Kept whole, encrypted_content included, so it can be sent back
+				message.item = event.item;
+				message.status = 'completed';
+				sendUpdate(message);
+				return;
+			}
+
+			if (event.type === 'response.output_item.added' && isHostedItem(event.item)) {
+				const message = addHostedMessage(event.item);
+				if (onMessage) await onMessage(message);
+				await sendEvent({'type': 'tool_call_started', 'message': message});
+				return;
+			}
+
+			if (event.type === 'response.code_interpreter_call_code.delta' || event.type === 'response.mcp_call_arguments.delta') {
+				const message = state.hostedCalls.get(event.item_id);
+				if (!message) return;
+				message.arguments += event.delta || '';
+				sendUpdate(message);
+				await sendEvent({'type': 'tool_arguments_delta', 'delta': event.delta || '', 'message': message});
+				return;
+			}
+
+			const hostedStatus = hostedStatusEvent.exec(event.type);
+			if (hostedStatus && state.hostedCalls.has(event.item_id)) {
+				const message = state.hostedCalls.get(event.item_id);
+				message.status = hostedStatus[2];
+				sendUpdate(message);
+				return;
+			}
+
+			if (event.type === 'response.output_item.done' && isHostedItem(event.item)) {
+				const item = event.item;
+				const message = state.hostedCalls.get(item.id) || addHostedMessage(item);
+				message.arguments = item.arguments || item.code || message.arguments;
+				message.input = hostedInput(item);
+				message.output = hostedOutput(item);
+				message.result = message.output;
+				message.item = item;
+				message.status = item.error ? 'failed' : item.status || 'completed';
+				if (item.error) message.error = item.error;
+				sendUpdate(message);
+				await sendEvent({'type': 'tool_result', 'message': message});
+				return;
+			}
+
+			if (event.type === 'response.output_item.added' && event.item?.type === 'message') {
+				if (!event.item.id) throw new Error('Assistant message id missing from API response');
+				state.assistantMessage = {
+					'_id': event.item.id,
+					'role': 'assistant',
+					'type': 'message',
+					'text': '',
+					'content': '',
+					'status': 'streaming',
+					'lastMessageId': state.lastMessageId,
+				};
+				state.messages.push(state.assistantMessage);
+				this.emit('message', state.assistantMessage);
+				if (onMessage) await onMessage(state.assistantMessage);
+				return;
+			}
+
+			if (event.type === 'response.function_call_arguments.delta') {
+				const message = state.toolCalls.get(event.item_id || event.call_id);
+				if (!message) return;
+				message.arguments += event.delta || '';
+				message.options = message.arguments;
+				try {
+					message.input = JSON.parse(message.arguments);
+				} catch (err) {}
+				sendUpdate(message);
+				await sendEvent({'type': 'tool_arguments_delta', 'delta': event.delta || '', 'message': message});
+				return;
+			}
+
+			if (event.type === 'response.function_call_arguments.done') {
+				const message = state.toolCalls.get(event.item_id || event.call_id);
+				if (!message) return;
+				message.arguments = event.arguments || message.arguments;
+				message.options = message.arguments;
+				parseToolArguments(message);
+				sendUpdate(message);
+				return;
+			}
+
+			if (event.type === 'response.output_item.done' && event.item?.type === 'function_call') {
+				const message = state.toolCalls.get(event.item.call_id || event.item.id);
+				if (!message) return;
+				message.arguments = event.item.arguments || message.arguments;
+				message.options = message.arguments;
+				if (message.arguments && !message.input) parseToolArguments(message);
+				sendUpdate(message);
+				return;
+			}
+
+			if (event.type === 'response.output_text.delta') {
+				if (!state.assistantMessage) {
+					if (!event.item_id) throw new Error('Assistant message id missing from API response');
+					state.assistantMessage = {
+						'_id': event.item_id,
+						'role': 'assistant',
+						'type': 'message',
+						'text': '',
+						'content': '',
+						'status': 'streaming',
+						'lastMessageId': state.lastMessageId,
+					};
+					state.messages.push(state.assistantMessage);
+					this.emit('message', state.assistantMessage);
+					if (onMessage) await onMessage(state.assistantMessage);
+				}
+				state.assistantMessage.content += event.delta || '';
+				state.assistantMessage.text = state.assistantMessage.content;
+				if (xml) state.assistantMessage.parsed = parseXml(state.assistantMessage.content, xml);
+				sendUpdate(state.assistantMessage);
+				await sendEvent({'type': 'text_delta', 'delta': event.delta || '', 'message': state.assistantMessage});
+			}
+		};
 
-		while (true) {
+		const toolOutput = (message, output) => ({
+			'type': 'function_call_output',
+			'call_id': message._id,
+			'output': typeof output === 'string' ? output : JSON.stringify(output),
+		});
+
+		// Runs one tool call and resolves with the function_call_output to send back
+		const runTool = async (message) => {
+			const tool = toolConfigs[message.name];
+			if (!tool) throw new Error(`No tool handler registered for "${message.name}"`);
+			const validationErrors = message.validationErrors || validateSchema(tool.parameters || tool.inputSchema, message.input || {});
+			if (validationErrors.length) {
+				message.validationErrors = validationErrors;
+				message.error = `Invalid arguments: ${formatSchemaErrors(validationErrors)}`;
+				message.status = 'invalid';
+				sendUpdate(message);
+				await sendEvent({'type': 'tool_result', 'message': message});
+				return toolOutput(message, {'error': message.error});
+			}
+			if (message.denied) {
+				message.error = `Tool call denied: ${message.denied}`;
+				message.status = 'denied';
+				sendUpdate(message);
+				await sendEvent({'type': 'tool_result', 'message': message});
+				return toolOutput(message, {'error': message.error});
+			}
+			const timeoutMs = tool.timeout ?? toolTimeout;
+			const toolSignal = timeoutMs === undefined
+				? signal
+				: AbortSignal.any([signal, AbortSignal.timeout(timeoutMs)].filter(Boolean));
+			message.status = 'running';
+			sendUpdate(message);
+			try {
+				const output = await raceSignal(tool.run(message.input || {}, {'signal': toolSignal}), toolSignal);
+				message.output = output;
+				message.result = output;
+				message.status = 'completed';
+				sendUpdate(message);
+				await sendEvent({'type': 'tool_result', 'message': message});
+				return toolOutput(message, output);
+			} catch (err) {
+				if (signal?.aborted) throw err;
+				if (toolSignal?.aborted) {
+					message.error = `Tool timed out after ${timeoutMs}ms`;
+					message.status = 'timed_out';
+					sendUpdate(message);
+					await sendEvent({'type': 'tool_result', 'message': message});
+					return toolOutput(message, {'error': message.error});
+				}
+				message.error = err.message;
+				message.status = 'failed';
+				sendUpdate(message);
+				await sendEvent({'type': 'tool_result', 'message': message});
+				const policy = tool.onError || onToolError;
+				if (policy === 'throw') throw err;
+				return toolOutput(message, policy === 'report' ? {'error': err.message} : await policy(err, message));
+			}
+		};
+
+		// Translates between the Responses shapes used here and the provider's API
+		const session = this.provider.createSession();
+
+		// Working copy of the conversation, committed back once the chat resolves.
+		// Unstored responses cannot be continued by id, so with store: false the
+		// tool rounds replay their own items on top of lastMessageId instead.
+		const history = conversation ? [...conversation.items] : store === false ? [] : null;
+		const toItems = (input) => typeof input === 'string' ? [{'role': 'user', 'content': input}] : input;
+		const toHistoryItem = (message) => {
+			if (message.type === 'tool_call') {
+				return {'type': 'function_call', 'call_id': message._id, 'name': message.name, 'arguments': message.arguments || '{}'};
+			}
+			if (message.type === 'reasoning') return message.item;
+			return {'role': 'assistant', 'content': message.content};
+		};
+
+		// Lets the context strategy shrink what is sent, the history keeps everything
+		const prepareInput = async () => {
+			if (!context) return [...history];
+			const items = await context([...history], {estimateTokens, 'llm': this, 'signal': signal});
+			if (!Array.isArray(items)) throw new Error('context must return an array of items');
+			const removed = history.filter(item => !items.includes(item));
+			const added = items.filter(item => !history.includes(item));
+			if (!removed.length && !added.length) return items;
+			const trimmed = {
+				'removed': removed,
+				'added': added,
+				'tokensBefore': estimateTokens(history),
+				'tokensAfter': estimateTokens(items),
+			};
+			this.emit('context', trimmed);
+			await sendEvent({'type': 'context_trimmed', ...trimmed});
+			return items;
+		};
+
+		// Streams one response and resolves with the tool calls it requested
+		const requestRound = async (input) => {
+			signal?.throwIfAborted();
+			const roundStartedAt = performance.now();
+			let timeToFirstEvent = null;
+			state.roundUsage = null;
+			if (history) history.push(...toItems(input));
 			const payload = {
 				'model': this.model,
 				'stream': true,
-				'input': input,
+				'input': history ? await prepareInput() : input,
 			};
+			if (store !== undefined) payload.store = store;
+			if (truncation) payload.truncation = truncation;
 			if (temperature !== undefined) payload.temperature = temperature;
 			if (topP !== undefined) payload.top_p = topP;
 			if (systemPrompt) payload.instructions = systemPrompt;
-			if (state.lastMessageId) payload.previous_response_id = state.lastMessageId;
+			if (state.lastMessageId && !history) payload.previous_response_id = state.lastMessageId;
+			if (lastMessageId && history && !conversation) payload.previous_response_id = lastMessageId;
 			if (maxTokens) payload.max_output_tokens = maxTokens;
-			if (json) payload.text = {'format': {'type': 'json_object'}};
-			if (toolDefinitions.length) payload.tools = toolDefinitions;
-			if (debug) console.log('[LLM Payload]', payload);
+			if (reasoning) payload.reasoning = reasoning;
+			// Without server state, reasoning items travel back encrypted
+			if (reasoning && (store === false || history)) payload.include = ['reasoning.encrypted_content'];
+			if (schema) {
+				payload.text = {'format': {'type': 'json_schema', 'name': schemaName, 'schema': schema, 'strict': true}};
+			} else if (json) {
+				payload.text = {'format': {'type': 'json_object'}};
+			}
+			if (toolDefinitions.length || hostedTools?.length) payload.tools = [...toolDefinitions, ...hostedTools || []];
+			if (toolChoice !== undefined) payload.tool_choice = toolChoice;
+			if (parallelToolCalls !== undefined) payload.parallel_tool_calls = parallelToolCalls;
+			// Sessions of stateless providers add to their own history between rounds
+			const body = session.payload(payload, {'continued': !history && state.rounds > 0});
+			logger?.debug('[LLM Payload]', redact(body));
 
 			const startCount = state.messages.length;
-			await new Promise((resolve, reject) => {
-				const handleError = (res) => {
-					let body = '';
-					res.on('data', buf => body += buf.toString());
-					res.on('end', () => {
-						const error = prettyResponse(body);
-						console.warn('[LLM]', 'StatusCode=', res.statusCode, 'Body=', error);
-						console.warn('Payload=', payload);
-						reject(new Error(`LLM failed, ${res.statusCode}, ${JSON.stringify(error)}`));
+			const key = cache ? await cacheKey(this.provider.name, payload) : null;
+			const hit = key ? await cache.get(key) : undefined;
+			state.rounds++;
+			const round = state.rounds;
+			if (hit) {
+				logger?.debug('[LLM Cache]', 'hit', key);
+				state.cachedRounds++;
+				state.replaying = true;
+				try {
+					for (const event of hit.events) {
+						for (const item of session.events(event)) await handleEvent(item);
+					}
+					for (const item of session.end()) await handleEvent(item);
+				} finally {
+					state.replaying = false;
+				}
+			}
+			for (let attempt = 0; !hit; attempt++) {
+				let streamed = false;
+				const recorded = [];
+				const url = new URL(this.provider.path, this.apiBase);
+				const startedAt = performance.now();
+				await hooks.beforeRequest?.({round, attempt, 'url': url.href, 'payload': redact(body)});
+				state.roundOutput = false;
+				state.roundCompleted = false;
+				try {
+					const responseHeaders = await postStream(url, {
+						'transport': this.transport,
+						'headers': this.headers,
+						'payload': body,
+						'timeout': timeout,
+						'signal': signal,
+					}, async (event) => {
+						const elapsed = performance.now() - startedAt;
+						if (!streamed) timeToFirstEvent = elapsed;
+						streamed = true;
+						if (key) recorded.push(event);
+						await hooks.onStreamEvent?.({round, 'event': redact(event), elapsed});
+						for (const item of session.events(event)) await handleEvent(item);
 					});
-				};
+					const rateLimit = parseRateLimit(responseHeaders);
+					if (rateLimit) this.emit('ratelimit', rateLimit);
+					for (const item of session.end()) await handleEvent(item);
+					// Streams cut short before response.completed are not replayed
+					if (key && state.roundCompleted && !signal?.aborted) await cache.set(key, {'events': recorded});
+					break;
+				} catch (err) {
+					const rateLimit = parseRateLimit(err.headers);
+					if (rateLimit) this.emit('ratelimit', rateLimit);
+					// A stream may fail after response.created, which is still safe
+					// to retry while no output has arrived
+					const quiet = !streamed || (err.status && !state.roundOutput);
+					const willRetry = !signal?.aborted && quiet && attempt < maxRetries && isRetryable(err);
+					await hooks.onError?.({round, attempt, 'error': err, 'duration': performance.now() - startedAt, willRetry});
+					if (!willRetry) throw err;
+					const wait = retryDelay(err, attempt, this.retry);
+					logger?.warn('[LLM Retry]', `attempt=${attempt + 1}`, `delay=${Math.round(wait)}ms`, err.message);
+					await sleep(wait, signal);
+				}
+			}
+			if (state.assistantMessage?.status === 'streaming') {
+				state.assistantMessage.status = 'completed';
+				sendUpdate(state.assistantMessage);
+			}
+			const fresh = state.messages.slice(startCount);
+			// Hosted tool calls live on the server and are not replayed
+			if (history) history.push(...fresh.filter(message => message.type !== 'hosted_tool_call').map(toHistoryItem));
+			const toolCalls = fresh.filter(message => message.type === 'tool_call');
+			await hooks.afterRound?.({
+				'round': round,
+				'cached': Boolean(hit),
+				'lastMessageId': state.lastMessageId,
+				'usage': state.roundUsage,
+				'toolCalls': toolCalls.length,
+				'duration': performance.now() - roundStartedAt,
+				'timeToFirstEvent': timeToFirstEvent,
+			});
+			return toolCalls;
+		};
 
-				const client = request(new URL('/v1/responses', this.apiBase), {
-					'method': 'POST',
-					'headers': this.headers,
-					'timeout': timeout,
-				}, async (res) => {
-					if (res.statusCode >= 400) return handleError(res);
-					await consumeStreamAsync(res, async (event) => {
-						if (debug) console.log('[LLM Event]', event.type, event);
-
-						if (event.type === 'response.created' || event.type === 'response.completed') {
-							const responseId = event.id || event.response?.id || null;
-							if (responseId) state.lastMessageId = responseId;
-							if (state.assistantMessage && state.assistantMessage.lastMessageId !== state.lastMessageId) {
-								state.assistantMessage.lastMessageId = state.lastMessageId;
-								sendUpdate(state.assistantMessage);
-							}
-							return;
-						}
-
-						if (event.type === 'response.output_item.added' && event.item?.type === 'function_call') {
-							const _id = event.item.call_id || event.item.id;
-							if (!_id) throw new Error('Tool call id missing from API response');
-							const message = {
-								'_id': _id,
-								'role': 'tool',
-								'type': 'tool_call',
-								'name': event.item.name,
-								'tool': event.item.name,
-								'arguments': event.item.arguments || '',
-								'options': event.item.arguments || '',
-								'input': null,
-								'output': null,
-								'result': null,
-								'status': 'requested',
-								'lastMessageId': state.lastMessageId,
-							};
-							state.toolCalls.set(message._id, message);
-							state.messages.push(message);
-							this.emit('message', message);
-							if (onMessage) await onMessage(message);
-							return;
-						}
-
-						if (event.type === 'response.output_item.added' && event.item?.type === 'message') {
-							if (!event.item.id) throw new Error('Assistant message id missing from API response');
-							state.assistantMessage = {
-								'_id': event.item.id,
-								'role': 'assistant',
-								'type': 'message',
-								'text': '',
-								'content': '',
-								'status': 'streaming',
-								'lastMessageId': state.lastMessageId,
-							};
-							state.messages.push(state.assistantMessage);
-							this.emit('message', state.assistantMessage);
-							if (onMessage) await onMessage(state.assistantMessage);
-							return;
-						}
-
-						if (event.type === 'response.function_call_arguments.delta') {
-							const message = state.toolCalls.get(event.item_id || event.call_id);
-							if (!message) return;
-							message.arguments += event.delta || '';
-							message.options = message.arguments;
-							try {
-								message.input = JSON.parse(message.arguments);
-							} catch (err) {}
-							sendUpdate(message);
-							return;
-						}
-
-						if (event.type === 'response.function_call_arguments.done') {
-							const message = state.toolCalls.get(event.item_id || event.call_id);
-							if (!message) return;
-							message.arguments = event.arguments || message.arguments;
-							message.options = message.arguments;
-							try {
-								message.input = JSON.parse(message.arguments || '{}');
-							} catch (err) {
-								throw new Error(`Tool "${message.name}" emitted invalid JSON arguments`);
-							}
-							sendUpdate(message);
-							return;
-						}
-
-						if (event.type === 'response.output_item.done' && event.item?.type === 'function_call') {
-							const message = state.toolCalls.get(event.item.call_id || event.item.id);
-							if (!message) return;
-							message.arguments = event.item.arguments || message.arguments;
-							message.options = message.arguments;
-							if (message.arguments && !message.input) {
-								try {
-									message.input = JSON.parse(message.arguments);
-								} catch (err) {
-									throw new Error(`Tool "${message.name}" emitted invalid JSON arguments`);
-								}
-							}
-							sendUpdate(message);
-							return;
-						}
-
-						if (event.type === 'response.output_text.delta') {
-							if (!state.assistantMessage) {
-								if (!event.item_id) throw new Error('Assistant message id missing from API response');
-								state.assistantMessage = {
-									'_id': event.item_id,
-									'role': 'assistant',
-									'type': 'message',
-									'text': '',
-									'content': '',
-									'status': 'streaming',
-									'lastMessageId': state.lastMessageId,
-								};
-								state.messages.push(state.assistantMessage);
-								this.emit('message', state.assistantMessage);
-								if (onMessage) await onMessage(state.assistantMessage);
-							}
-							state.assistantMessage.content += event.delta || '';
-							state.assistantMessage.text = state.assistantMessage.content;
-							sendUpdate(state.assistantMessage);
-						}
-					});
-					resolve();
-				});
+		// Asks for approval of every call in the round that needs it. Resolves
+		// false when a decision is missing and the chat has to suspend.
+		const approveRound = async (messages) => {
+			for (const message of messages) {
+				const tool = toolConfigs[message.name];
+				if (!tool || !(tool.requiresApproval ?? Boolean(approve))) continue;
+				if (message.validationErrors || validateSchema(tool.parameters || tool.inputSchema, message.input || {}).length) continue;
+				message.status = 'awaiting_approval';
+				sendUpdate(message);
+				// Decisions made before a suspension travel with the call
+				let decision = approvals?.[message._id] ?? message.approval;
+				if (decision === undefined && approve) decision = await raceSignal(approve(message), signal);
+				if (decision === undefined || decision === null) {
+					if (!canSuspend) throw new Error(suspendError);
+					return false;
+				}
+				if (typeof decision === 'boolean') decision = {'approved': decision};
+				if (!decision.approved) {
+					message.denied = decision.reason || 'Denied';
+					message.approval = {'approved': false, 'reason': message.denied};
+					continue;
+				}
+				message.approval = {'approved': true};
+				if (decision.input) {
+					message.input = decision.input;
+					message.arguments = JSON.stringify(decision.input);
+					message.options = message.arguments;
+				}
+				message.status = 'approved';
+				sendUpdate(message);
+			}
+			return true;
+		};
 
-				client.on('timeout', () => {
-					client.destroy();
-					reject(new Error('Request timed out'));
+		// Turns the final assistant text into the json, schema or xml result
+		const parseOutput = (text) => {
+			if (xml) return parseXml(text, xml);
+			if (!json && !schema) return text;
+			const data = parseJson(text);
+			const errors = validateSchema(schema, data);
+			if (errors.length) {
+				throw new OutputValidationError(`Response does not match schema: ${formatSchemaErrors(errors)}`, {
+					'text': text,
+					'errors': errors,
 				});
-				client.on('error', reject);
-				client.end(JSON.stringify(payload));
-			});
+			}
+			return data;
+		};
 
-			const freshToolMessages = state.messages.slice(startCount).filter(message => message.type === 'tool_call');
-			if (!freshToolMessages.length) break;
+		const chatSpan = startSpan(this.tracer, 'llm.chat', {
+			'llm.provider': this.provider.name,
+			'llm.model': this.model,
+			...(template && {'llm.template': template}),
+		});
+		const spanResult = () => ({
+			'llm.response_id': state.lastMessageId || '',
+			'llm.rounds': state.rounds,
+			'llm.cached': state.rounds > 0 && state.cachedRounds === state.rounds,
+			'llm.usage.input_tokens': state.usage.inputTokens,
+			'llm.usage.output_tokens': state.usage.outputTokens,
+		});
 
-			const outputs = [];
-			for (const message of freshToolMessages) {
-				const handler = toolHandlers[message.name];
-				if (!handler) throw new Error(`No tool handler registered for "${message.name}"`);
-				message.status = 'running';
-				sendUpdate(message);
+		// Runs a tool call inside its own span, a child of the chat span
+		const traceTool = async (message) => {
+			const span = startSpan(this.tracer, 'llm.tool', {
+				'llm.tool.name': message.name,
+				'llm.tool.call_id': message._id,
+			}, chatSpan);
+			try {
+				const output = await runTool(message);
+				endSpan(span, null, {'llm.tool.status': message.status});
+				return output;
+			} catch (err) {
+				endSpan(span, err, {'llm.tool.status': message.status});
+				throw err;
+			}
+		};
+
+		let toolRounds = 0;
+		let suspended = null;
+		try {
+			let freshToolMessages = pendingToolCalls
+				? pendingToolCalls.map(call => addToolMessage(call))
+				: await requestRound(input);
+			while (freshToolMessages.length) {
+				if (toolRounds >= maxToolRounds) throw new Error(`Exceeded maxToolRounds (${maxToolRounds})`);
+				toolRounds++;
+
+				if (!await approveRound(freshToolMessages)) {
+					suspended = freshToolMessages;
+					break;
+				}
+				input = await mapConcurrent(freshToolMessages, toolConcurrency, (message) => {
+					signal?.throwIfAborted();
+					return traceTool(message);
+				});
+				freshToolMessages = await requestRound(input);
+			}
+
+			// One round-trip asking the model to fix output that failed to parse
+			if (!suspended && repair && state.assistantMessage) {
 				try {
-					const output = await handler(message.input || {});
-					message.output = output;
-					message.result = output;
-					message.status = 'completed';
-					sendUpdate(message);
-					outputs.push({
-						'type': 'function_call_output',
-						'call_id': message._id,
-						'output': typeof output === 'string' ? output : JSON.stringify(output),
-					});
+					parseOutput(state.assistantMessage.content);
 				} catch (err) {
-					message.error = err.message;
-					message.status = 'failed';
-					sendUpdate(message);
-					throw err;
+					if (!(err instanceof OutputValidationError)) throw err;
+					state.assistantMessage = null;
+					await requestRound([
+						'Your previous response was invalid:',
+						formatSchemaErrors(err.errors),
+						'Reply again with only the corrected JSON.',
+					].join('\n'));
 				}
 			}
-			input = outputs;
+		} catch (err) {
+			endSpan(chatSpan, err, spanResult());
+			if (!signal?.aborted) throw err;
+			for (const message of state.messages) {
+				const active = ['streaming', 'requested', 'awaiting_approval', 'approved', 'running', 'in_progress', 'searching', 'interpreting', 'generating'];
+				if (!active.includes(message.status)) continue;
+				message.status = 'aborted';
+				sendUpdate(message);
+			}
+			while (latestUpdate || isUpdating) await chain;
+			const error = new Error('Chat aborted', {'cause': signal.reason});
+			error.name = 'AbortError';
+			error.content = state.assistantMessage?.content || '';
+			error.lastMessageId = state.lastMessageId;
+			error.messages = state.messages;
+			error.usage = state.usage;
+			throw error;
 		}
 
-		if (state.assistantMessage) state.assistantMessage.status = 'completed';
-		if (state.assistantMessage) sendUpdate(state.assistantMessage);
 		while (latestUpdate || isUpdating) await chain;
-		const content = json
-			? parseJson(state.assistantMessage?.content || '')
-			: xml
-				? parseXml(state.assistantMessage?.content || '', xml)
-				: (state.assistantMessage?.content || '');
+		if (conversation) conversation.items = history;
+		// Traces which prompt revision produced the result
+		const templateInfo = template ? {'name': template, 'version': this.templates[template].version ?? null} : undefined;
+		if (suspended) {
+			endSpan(chatSpan, null, {...spanResult(), 'llm.suspended': true});
+			return {
+				'content': state.assistantMessage?.content || '',
+				'lastMessageId': state.lastMessageId,
+				'messages': state.messages,
+				'usage': state.usage,
+				'cached': state.rounds > 0 && state.cachedRounds === state.rounds,
+				'suspended': true,
+				'pendingToolCalls': suspended,
+				...(templateInfo && {'template': templateInfo}),
+			};
+		}
+		let content;
+		try {
+			content = parseOutput(state.assistantMessage?.content || '');
+		} catch (err) {
+			endSpan(chatSpan, err, spanResult());
+			throw err;
+		}
+		endSpan(chatSpan, null, spanResult());
 		if (state.assistantMessage) {
 			state.assistantMessage.content = content;
 			state.assistantMessage.text = content;
@@ -313,8 +931,105 @@ export default class OpenAI extends EventEmitter {
 			'content': content,
 			'lastMessageId': state.lastMessageId,
 			'messages': state.messages,
+			'usage': state.usage,
+			'cached': state.rounds > 0 && state.cachedRounds === state.rounds,
+			...(templateInfo && {'template': templateInfo}),
+		};
+	};
+
+	// Continues a chat that suspended while tool calls waited for approval.
+	// Pass decisions keyed by call id in options.approvals. A conversation
+	// carries the history instead of lastMessageId.
+	resume = (suspended, options = {}) => this.chat(null, {
+		...options,
+		...!options.conversation && {'lastMessageId': suspended.lastMessageId},
+		'pendingToolCalls': suspended.pendingToolCalls,
+	});
+
+	// Runs many chats and resolves with {status, value} or {status, reason}
+	// per item in input order. batchApi submits them to the OpenAI Batch API.
+	batch = (items, options = {}) => options.batchApi ? runBatchApi(this, items, options) : runBatch(this, items, options);
+
+	// Embeds a string or an array of strings, split into batchSize requests.
+	// Resolves with {embeddings, model, usage}, embeddings in input order.
+	embed = (input, options) => embed(this, input, options);
+
+	// Resolves with {flagged, results, model}, one result per input
+	moderate = (input, options) => moderate(this, input, options);
+
+	// Uploads a file path, Buffer or {path, data, filename} to the
+	// transcription endpoint and resolves with {text, ...}
+	transcribe = (audio, options) => transcribe(this, audio, options);
+
+	// Closes the pooled connections of the transport, when it has any
+	close = async () => {
+		await this.transport.close?.();
+	};
+
+	// Runs chat() and yields its events as an async iterable, ending with a
+	// 'result' event. Breaking out of the loop aborts the chat.
+	stream = (prompt, options = {}) => {
+		const controller = new AbortController();
+		const signal = options.signal ? AbortSignal.any([options.signal, controller.signal]) : controller.signal;
+		const queue = [];
+		let wake = null;
+		let done = false;
+		let failure = null;
+		const push = (event) => {
+			queue.push(event);
+			wake?.();
 		};
+
+		this.chat(prompt, {
+			'updateInterval': 0,
+			...options,
+			'signal': signal,
+			'onEvent': async (event) => {
+				push(event);
+				if (options.onEvent) await options.onEvent(event);
+			},
+		}).then(result => push({'type': 'result', 'result': result}), err => failure = err).finally(() => {
+			done = true;
+			wake?.();
+		});
+
+		return (async function* () {
+			try {
+				while (queue.length || !done) {
+					if (!queue.length) await new Promise(resolve => wake = resolve);
+					wake = null;
+					if (queue.length) yield queue.shift();
+				}
+				if (failure) throw failure;
+			} finally {
+				if (!done) controller.abort();
+			}
+		})();
 	};
 }
 
 export { OpenAI };
+export {
+	LLMError,
+	BadRequestError,
+	AuthError,
+	RateLimitError,
+	ServerError,
+	TimeoutError,
+	ConnectionError,
+	OutputValidationError,
+	McpError,
+	isRetryable,
+} from './errors.js';
+export { Conversation } from './conversation.js';
+export { MemoryCache, FileCache, cacheKey } from './cache.js';
+export { recordFixtures, replayFixtures } from './fixtures.js';
+export { connectMcp, McpClient } from './mcp.js';
+export { createNodeTransport, fetchTransport } from './transport.js';
+export {
+	estimateTokens,
+	splitTurns,
+	keepLastTurns,
+	trimToTokens,
+	summarizeOlderTurns,
+} from './context.js';
@@ -0,0 +1,250 @@
+import { prettyResponse } from './util.js';
+import { loadBuiltin } from './builtins.js';
+import { send, readText, defaultTransport } from './transport.js';
+import { createHttpError, ConnectionError, TimeoutError, McpError } from './errors.js';
+
+// Model Context Protocol client. Connects to a server over stdio or streamable
+// HTTP and turns its tools into chat() tools whose run calls tools/call.
+
+const protocolVersion = '2025-06-18';
+
+// Reported to servers, read from package.json where node:module exists
+const clientVersion = () => loadBuiltin('node:module')
+	.then(({createRequire}) => createRequire(import.meta.url)('./package.json').version, () => 'unknown');
+
+// Newline-delimited JSON-RPC over the stdin and stdout of a child process
+const createStdioTransport = async ({command, args = [], env, cwd}) => {
+	const [{spawn}, readline] = await Promise.all([loadBuiltin('node:child_process'), loadBuiltin('node:readline')]);
+	const child = spawn(command, args, {
+		'cwd': cwd,
+		'env': env ? {...process.env, ...env} : process.env,
+		'stdio': ['pipe', 'pipe', 'ignore'],
+	});
+	const transport = {
+		'onMessage': () => {},
+		'onClose': () => {},
+		'send': (message) => new Promise((resolve, reject) => {
+			if (!child.stdin.writable) return reject(new ConnectionError('MCP server is not running'));
+			child.stdin.write(`${JSON.stringify(message)}\n`, err => err ? reject(new ConnectionError(err.message, {'cause': err})) : resolve());
+		}),
+		'close': () => new Promise(resolve => {
+			if (child.exitCode !== null || child.signalCode !== null) return resolve();
+			child.once('exit', () => resolve());
+			child.stdin.end();
+			child.kill();
+		}),
+	};
+	readline.createInterface({'input': child.stdout}).on('line', line => {
+		if (!line.trim()) return;
+		try {
+			transport.onMessage(JSON.parse(line));
+		} catch (err) {}
+	});
+	child.stdin.on('error', () => {});
+	child.once('error', err => transport.onClose(new ConnectionError(`MCP server failed to start: ${err.message}`, {'cause': err})));
+	child.once('exit', code => transport.onClose(new ConnectionError(`MCP server exited with code ${code}`)));
+	return transport;
+};
+
+// Each message is a POST. Replies come back as JSON or as an SSE stream, and
+// the session id the server hands out on initialize goes with every request.
+// httpTransport sends the requests, see transport.js.
+const createHttpTransport = ({url, headers = {}, timeout = 60000, httpTransport = defaultTransport()}) => {
+	const endpoint = new URL(url);
+	let sessionId = null;
+
+	const post = async (method, body) => {
+		const res = await send(httpTransport, {
+			'url': endpoint,
+			'method': method,
+			'timeout': timeout,
+			'headers': {
+				'Content-Type': 'application/json',
+				'Accept': 'application/json, text/event-stream',
+				'MCP-Protocol-Version': protocolVersion,
+				...sessionId && {'Mcp-Session-Id': sessionId},
+				...headers,
+			},
+			'body': body === undefined ? undefined : JSON.stringify(body),
+		});
+		if (res.headers['mcp-session-id']) sessionId = res.headers['mcp-session-id'];
+		const text = await readText(res.body);
+		if (res.status >= 400) throw createHttpError(res.status, prettyResponse(text), res.headers);
+		if (!(res.headers['content-type'] || '').includes('text/event-stream')) {
+			return text.trim() ? [JSON.parse(text)].flat() : [];
+		}
+		return text.split('\n')
+			.filter(line => line.startsWith('data:'))
+			.map(line => JSON.parse(line.slice(5)));
+	};
+
+	const transport = {
+		'onMessage': () => {},
+		'onClose': () => {},
+		'send': async (message) => {
+			for (const reply of await post('POST', message)) transport.onMessage(reply);
+		},
+		// Ends the session on the server, which may not support it
+		'close': async () => {
+			if (!sessionId) return;
+			try {
+				await post('DELETE');
+			} catch (err) {}
+		},
+	};
+	return transport;
+};
+
+// Joins a tools/call content array into the text sent back to the model
+const contentToText = (content = []) => content.map(part => {
+	if (part.type === 'text') return part.text;
+	if (part.type === 'resource') return part.resource?.text ?? `[resource: ${part.resource?.uri}]`;
+	if (part.type === 'resource_link') return `[resource: ${part.uri}]`;
+	return `[${part.type}${part.mimeType ? `: ${part.mimeType}` : ''}]`;
+}).join('\n');
+
+export class McpClient {
+	constructor(transport, {timeout = 60000} = {}) {
+		this.transport = transport;
+		this.timeout = timeout;
+		this.pending = new Map();
+		this.nextId = 1;
+		this.closed = null;
+		this.server = null;
+		this.toolList = null;
+		transport.onMessage = this.receive;
+		transport.onClose = (err) => {
+			this.closed ||= err;
+			for (const {reject} of this.pending.values()) reject(err);
+			this.pending.clear();
+		};
+	}
+
+	receive = (message) => {
+		if (message.id !== undefined && message.method) {
+			// Requests from the server: answer pings, decline everything else
+			const reply = message.method === 'ping'
+				? {'jsonrpc': '2.0', 'id': message.id, 'result': {}}
+				: {'jsonrpc': '2.0', 'id': message.id, 'error': {'code': -32601, 'message': `Method not found: ${message.method}`}};
+			this.transport.send(reply).catch(() => {});
+			return;
+		}
+		if (message.method === 'notifications/tools/list_changed') this.toolList = null;
+		const pending = this.pending.get(message.id);
+		if (!pending) return;
+		this.pending.delete(message.id);
+		if (message.error) {
+			pending.reject(new McpError(`MCP error ${message.error.code}: ${message.error.message}`, message.error));
+		} else {
+			pending.resolve(message.result);
+		}
+	};
+
+	// Sends a JSON-RPC request. Aborting the signal cancels it on the server.
+	request = (method, params, {signal, timeout = this.timeout} = {}) => {
+		if (this.closed) return Promise.reject(this.closed);
+		signal?.throwIfAborted();
+		const id = this.nextId++;
+		return new Promise((resolve, reject) => {
+			const cleanup = () => {
+				clearTimeout(timer);
+				signal?.removeEventListener('abort', onAbort);
+				this.pending.delete(id);
+			};
+			const cancel = (reason) => {
+				cleanup();
+				this.notify('notifications/cancelled', {'requestId': id, 'reason': String(reason?.message || reason)}).catch(() => {});
+			};
+			const onAbort = () => {
+				cancel(signal.reason);
+				reject(signal.reason);
+			};
+			const timer = setTimeout(() => {
+				cancel('timeout');
+				reject(new TimeoutError(`MCP ${method} timed out after ${timeout}ms`));
+			}, timeout);
+			this.pending.set(id, {
+				'resolve': (value) => {
+					cleanup();
+					resolve(value);
+				},
+				'reject': (err) => {
+					cleanup();
+					reject(err);
+				},
+			});
+			signal?.addEventListener('abort', onAbort);
+			this.transport.send({'jsonrpc': '2.0', 'id': id, 'method': method, 'params': params}).catch(err => this.pending.get(id)?.reject(err));
+		});
+	};
+
+	notify = (method, params) => this.transport.send({'jsonrpc': '2.0', 'method': method, 'params': params});
+
+	initialize = async () => {
+		this.server = await this.request('initialize', {
+			'protocolVersion': protocolVersion,
+			'capabilities': {},
+			'clientInfo': {'name': 'poon-llm', 'version': await clientVersion()},
+		});
+		await this.notify('notifications/initialized');
+		return this.server;
+	};
+
+	// Lists every tool the server offers, following pagination
+	listTools = async () => {
+		if (this.toolList) return this.toolList;
+		const tools = [];
+		let cursor;
+		do {
+			const page = await this.request('tools/list', cursor ? {cursor} : {});
+			tools.push(...page.tools || []);
+			cursor = page.nextCursor;
+		} while (cursor);
+		this.toolList = tools;
+		return tools;
+	};
+
+	// Calls a tool and resolves with its structured content, or its text
+	// content joined. A result flagged isError rejects with an McpError.
+	callTool = async (name, input, {signal} = {}) => {
+		const result = await this.request('tools/call', {'name': name, 'arguments': input || {}}, {signal});
+		if (result.isError) throw new McpError(contentToText(result.content) || `MCP tool "${name}" failed`, {'data': result});
+		return result.structuredContent ?? contentToText(result.content);
+	};
+
+	// Converts the server's tools into a tools object for chat(). Errors go back
+	// to the model by default so it can correct the call.
+	tools = async ({prefix = '', onError = 'report', requiresApproval} = {}) => {
+		const tools = {};
+		for (const tool of await this.listTools()) {
+			tools[`${prefix}${tool.name}`] = {
+				'description': tool.description || tool.title || `${tool.name} tool`,
+				'inputSchema': tool.inputSchema || {'type': 'object', 'properties': {}},
+				'onError': onError,
+				...requiresApproval !== undefined && {'requiresApproval': requiresApproval},
+				'run': (input, {signal} = {}) => this.callTool(tool.name, input, {signal}),
+			};
+		}
+		return tools;
+	};
+
+	close = async () => {
+		this.transport.onClose(new ConnectionError('MCP client closed'));
+		await this.transport.close();
+	};
+}
+
+// Starts a stdio server with {command, args, env, cwd} or connects to
+// {url, headers, httpTransport}, and resolves once the session is initialized
+export const connectMcp = async (options) => {
+	if (!options || (!options.command && !options.url)) throw new Error('connectMcp requires a command or a url');
+	const transport = options.command ? await createStdioTransport(options) : createHttpTransport(options);
+	const client = new McpClient(transport, options);
+	try {
+		await client.initialize();
+	} catch (err) {
+		await client.close();
+		throw err;
+	}
+	return client;
+};
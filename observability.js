@@ -0,0 +1,62 @@
+// Redaction and tracing helpers for the logger, hooks and tracer options.
+
+// Keys whose values are always hidden
+const secretKey = /^(authorization|cookie|password|secret|token|api[-_]?key|x-api-key|access[-_]?token|refresh[-_]?token|client[-_]?secret)$/i;
+
+// Keys holding prompts, outputs and attachments, hidden with redact: 'content'
+const contentKeys = new Set([
+	'content',
+	'text',
+	'delta',
+	'instructions',
+	'input',
+	'output',
+	'arguments',
+	'image_url',
+	'file_data',
+	'file_url',
+	'partial_json',
+	'system',
+]);
+
+const redacted = '[REDACTED]';
+
+// Returns a function that copies a value with secrets, and content when asked
+// for, replaced. redact is 'secrets' (default), 'content', false or a
+// custom (value) => value function.
+export const createRedactor = (redact = 'secrets') => {
+	if (typeof redact === 'function') return redact;
+	if (redact === false) return (value) => value;
+	if (redact !== 'secrets' && redact !== 'content') throw new Error('redact must be "secrets", "content", false or a function');
+	const hideContent = redact === 'content';
+	const walk = (value, key) => {
+		if (key !== undefined && secretKey.test(key) && value != null) return redacted;
+		if (hideContent && contentKeys.has(key) && typeof value === 'string') return redacted;
+		if (Array.isArray(value)) return value.map(item => walk(item, hideContent && contentKeys.has(key) ? key : undefined));
+		if (value && typeof value === 'object') {
+			return Object.fromEntries(Object.entries(value).map(([name, child]) => [name, walk(child, name)]));
+		}
+		return value;
+	};
+	return (value) => walk(value);
+};
+
+// Tracers follow the shape of an OpenTelemetry tracer:
+// tracer.startSpan(name, {attributes, parent}) returns a span with
+// setAttributes(), setStatus({code, message}), recordException() and end().
+export const startSpan = (tracer, name, attributes, parent) => tracer
+	? tracer.startSpan(name, {'attributes': attributes, 'parent': parent || undefined})
+	: null;
+
+// Status codes are OpenTelemetry's: 1 is OK, 2 is ERROR
+export const endSpan = (span, err, attributes = {}) => {
+	if (!span) return;
+	span.setAttributes?.(attributes);
+	if (err) {
+		span.recordException?.(err);
+		span.setStatus?.({'code': 2, 'message': err.message});
+	} else {
+		span.setStatus?.({'code': 1});
+	}
+	span.end();
+};
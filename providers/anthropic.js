@@ -0,0 +1,224 @@
+import { createStreamError } from '../errors.js';
+import { fromBase64 } from '../util.js';
+
+// Anthropic Messages API. Stateless like chat completions, so the session
+// keeps the conversation of the current chat() call and replays it.
+
+// Images and PDFs are sent as base64 data or by URL
+const toSource = (url) => {
+	const match = /^data:([^;]+);base64,(.*)$/.exec(url);
+	if (match) return {'type': 'base64', 'media_type': match[1], 'data': match[2]};
+	return {'type': 'url', 'url': url};
+};
+
+const toDocument = (part) => {
+	const source = toSource(part.file_data || part.file_url);
+	// Plain text documents are sent as text rather than base64
+	if (source.type === 'base64' && source.media_type === 'text/plain') {
+		const text = new TextDecoder().decode(fromBase64(source.data));
+		return {'type': 'document', 'source': {'type': 'text', 'media_type': 'text/plain', 'data': text}};
+	}
+	return {'type': 'document', 'source': source};
+};
+
+const toContent = (content) => {
+	if (typeof content === 'string') return content;
+	return content.map(part => {
+		if (part.type === 'input_text' || part.type === 'output_text') return {'type': 'text', 'text': part.text};
+		if (part.type === 'input_image' && part.image_url) return {'type': 'image', 'source': toSource(part.image_url)};
+		if (part.type === 'input_file' && (part.file_data || part.file_url)) return toDocument(part);
+		throw new Error(`Unsupported content part for Anthropic: ${part.type}`);
+	});
+};
+
+// Converts Responses input into messages. Function calls become tool_use
+// blocks of the assistant turn they follow, and consecutive tool outputs fold
+// into one user turn of tool_result blocks.
+const toMessages = (input) => {
+	if (typeof input === 'string') return [{'role': 'user', 'content': input}];
+	const messages = [];
+	for (const item of input) {
+		// Reasoning items only mean something to the Responses API
+		if (item.type === 'reasoning') continue;
+		if (item.type === 'function_call') {
+			const block = {'type': 'tool_use', 'id': item.call_id, 'name': item.name, 'input': {}};
+			// Arguments that were not JSON went back to the model as an error
+			try {
+				block.input = JSON.parse(item.arguments || '{}');
+			} catch (err) {}
+			const last = messages.at(-1);
+			if (last?.role !== 'assistant') {
+				messages.push({'role': 'assistant', 'content': [block]});
+			} else {
+				if (typeof last.content === 'string') last.content = [{'type': 'text', 'text': last.content}];
+				last.content.push(block);
+			}
+			continue;
+		}
+		if (item.type !== 'function_call_output') {
+			messages.push({'role': item.role || 'user', 'content': toContent(item.content)});
+			continue;
+		}
+		const block = {'type': 'tool_result', 'tool_use_id': item.call_id, 'content': item.output};
+		const last = messages.at(-1);
+		if (last?.role === 'user' && Array.isArray(last.content) && last.content[0]?.type === 'tool_result') {
+			last.content.push(block);
+		} else {
+			messages.push({'role': 'user', 'content': [block]});
+		}
+	}
+	return messages;
+};
+
+// Anthropic has no JSON mode, so the format is spelled out in the system prompt
+const formatInstructions = (format) => {
+	if (format.type === 'json_schema') {
+		return `Respond with only a JSON object matching this JSON Schema:\n${JSON.stringify(format.schema)}`;
+	}
+	return 'Respond with only a JSON object.';
+};
+
+const toolChoiceTypes = {'auto': 'auto', 'required': 'any', 'none': 'none'};
+
+const toToolChoice = (choice = 'auto', parallel) => {
+	const toolChoice = typeof choice === 'string'
+		? {'type': toolChoiceTypes[choice]}
+		: {'type': 'tool', 'name': choice.name};
+	if (parallel === false && toolChoice.type !== 'none') toolChoice.disable_parallel_tool_use = true;
+	return toolChoice;
+};
+
+const toUsage = (usage) => {
+	const cached = usage.cache_read_input_tokens || 0;
+	const input = (usage.input_tokens || 0) + cached + (usage.cache_creation_input_tokens || 0);
+	const output = usage.output_tokens || 0;
+	return {
+		'input_tokens': input,
+		'input_tokens_details': {'cached_tokens': cached},
+		'output_tokens': output,
+		'total_tokens': input + output,
+	};
+};
+
+// max_tokens is required by the API
+const defaultMaxTokens = 4096;
+
+// Compatible servers may leave the id out of message_start
+let localIds = 0;
+const localId = () => `msg_local_${++localIds}`;
+
+const createSession = () => {
+	const history = [];
+	let response = null;
+
+	// continued is set when the request follows an earlier round of the same
+	// chat() call, otherwise the input is the whole conversation
+	const payload = (request, {continued = false} = {}) => {
+		if (!continued) history.length = 0;
+		history.push(...toMessages(request.input));
+		response = {'id': null, 'blocks': [], 'messageId': null, 'usage': {}};
+
+		const system = [request.instructions, request.text?.format && formatInstructions(request.text.format)];
+		const body = {
+			'model': request.model,
+			'messages': history,
+			'max_tokens': request.max_output_tokens || defaultMaxTokens,
+			'stream': true,
+		};
+		if (system.some(Boolean)) body.system = system.filter(Boolean).join('\n\n');
+		if (request.temperature !== undefined) body.temperature = request.temperature;
+		if (request.top_p !== undefined) body.top_p = request.top_p;
+		if (request.tools) {
+			body.tools = request.tools.map(tool => ({
+				'name': tool.name,
+				'description': tool.description,
+				'input_schema': tool.parameters,
+			}));
+		}
+		if (request.tool_choice || request.parallel_tool_calls === false) {
+			body.tool_choice = toToolChoice(request.tool_choice, request.parallel_tool_calls);
+		}
+		return body;
+	};
+
+	const events = (event) => {
+		if (event.type === 'error') throw createStreamError(event.error, event);
+
+		if (event.type === 'message_start') {
+			response.id = event.message?.id || localId();
+			Object.assign(response.usage, event.message?.usage);
+			return [{'type': 'response.created', 'id': response.id}];
+		}
+
+		if (event.type === 'content_block_start') {
+			const block = {...event.content_block};
+			response.blocks[event.index] = block;
+			if (block.type === 'tool_use') {
+				block.json = '';
+				return [{
+					'type': 'response.output_item.added',
+					'item': {'type': 'function_call', 'call_id': block.id, 'name': block.name, 'arguments': ''},
+				}];
+			}
+			if (block.type === 'text' && !response.messageId) {
+				response.messageId = `${response.id}_message`;
+				return [{
+					'type': 'response.output_item.added',
+					'item': {'type': 'message', 'id': response.messageId, 'role': 'assistant'},
+				}];
+			}
+			return [];
+		}
+
+		if (event.type === 'content_block_delta') {
+			const block = response.blocks[event.index];
+			if (event.delta.type === 'text_delta') {
+				block.text += event.delta.text;
+				return [{'type': 'response.output_text.delta', 'item_id': response.messageId, 'delta': event.delta.text}];
+			}
+			if (event.delta.type === 'input_json_delta') {
+				block.json += event.delta.partial_json;
+				return [{'type': 'response.function_call_arguments.delta', 'item_id': block.id, 'delta': event.delta.partial_json}];
+			}
+			return [];
+		}
+
+		if (event.type === 'content_block_stop') {
+			const block = response.blocks[event.index];
+			if (block?.type !== 'tool_use') return [];
+			try {
+				block.input = JSON.parse(block.json || '{}');
+			} catch (err) {}
+			return [{'type': 'response.function_call_arguments.done', 'item_id': block.id, 'arguments': block.json || '{}'}];
+		}
+
+		if (event.type === 'message_delta') {
+			Object.assign(response.usage, event.usage);
+			return [];
+		}
+
+		return [];
+	};
+
+	// Called once the stream ends: records the reply and reports usage
+	const end = () => {
+		const content = response.blocks.filter(Boolean).flatMap(block => {
+			if (block.type === 'tool_use') return [{'type': 'tool_use', 'id': block.id, 'name': block.name, 'input': block.input || {}}];
+			if (block.type === 'text') return [{'type': 'text', 'text': block.text}];
+			return [];
+		});
+		history.push({'role': 'assistant', 'content': content});
+		return [{'type': 'response.completed', 'response': {'id': response.id, 'usage': toUsage(response.usage)}}];
+	};
+
+	return {payload, events, end};
+};
+
+export default {
+	'name': 'anthropic',
+	'apiBase': 'https://api.anthropic.com',
+	'path': '/v1/messages',
+	'stateful': false,
+	'authHeaders': (secretKey) => ({'x-api-key': secretKey, 'anthropic-version': '2023-06-01'}),
+	'createSession': createSession,
+};
@@ -0,0 +1,189 @@
+import { createStreamError } from '../errors.js';
+
+// Classic /v1/chat/completions streaming, as spoken by OpenAI and by local
+// servers such as llama.cpp and vLLM. The API is stateless, so the session
+// keeps the conversation of the current chat() call and replays it.
+
+const toContent = (content) => {
+	if (typeof content === 'string') return content;
+	return content.map(part => {
+		if (part.type === 'input_text' || part.type === 'output_text') return {'type': 'text', 'text': part.text};
+		if (part.type === 'input_image') {
+			const image = {'url': part.image_url};
+			if (part.detail) image.detail = part.detail;
+			return {'type': 'image_url', 'image_url': image};
+		}
+		if (part.type === 'input_file' && part.file_data) {
+			return {'type': 'file', 'file': {'filename': part.filename, 'file_data': part.file_data}};
+		}
+		if (part.type === 'input_file' && part.file_id) return {'type': 'file', 'file': {'file_id': part.file_id}};
+		throw new Error(`Unsupported content part for chat completions: ${part.type}`);
+	});
+};
+
+// Converts Responses input (a string or a list of items) into chat messages.
+// Function calls attach to the assistant message they follow.
+const toMessages = (input) => {
+	if (typeof input === 'string') return [{'role': 'user', 'content': input}];
+	const messages = [];
+	for (const item of input) {
+		// Reasoning items only mean something to the Responses API
+		if (item.type === 'reasoning') continue;
+		if (item.type === 'function_call_output') {
+			messages.push({'role': 'tool', 'tool_call_id': item.call_id, 'content': item.output});
+			continue;
+		}
+		if (item.type === 'function_call') {
+			const call = {'id': item.call_id, 'type': 'function', 'function': {'name': item.name, 'arguments': item.arguments}};
+			const last = messages.at(-1);
+			if (last?.role === 'assistant') (last.tool_calls ||= []).push(call);
+			else messages.push({'role': 'assistant', 'content': null, 'tool_calls': [call]});
+			continue;
+		}
+		messages.push({'role': item.role || 'user', 'content': toContent(item.content)});
+	}
+	return messages;
+};
+
+const toResponseFormat = (format) => {
+	if (format.type === 'json_schema') {
+		return {
+			'type': 'json_schema',
+			'json_schema': {'name': format.name, 'schema': format.schema, 'strict': format.strict},
+		};
+	}
+	return {'type': format.type};
+};
+
+const toToolChoice = (choice) => {
+	if (typeof choice === 'string') return choice;
+	return {'type': 'function', 'function': {'name': choice.name}};
+};
+
+const toUsage = (usage) => ({
+	'input_tokens': usage.prompt_tokens || 0,
+	'input_tokens_details': {'cached_tokens': usage.prompt_tokens_details?.cached_tokens || 0},
+	'output_tokens': usage.completion_tokens || 0,
+	'output_tokens_details': {'reasoning_tokens': usage.completion_tokens_details?.reasoning_tokens || 0},
+	'total_tokens': usage.total_tokens || 0,
+});
+
+// Some local servers leave the id out of their chunks
+let localIds = 0;
+const localId = () => `chatcmpl_local_${++localIds}`;
+
+const createSession = () => {
+	const history = [];
+	let response = null;
+
+	// continued is set when the request follows an earlier round of the same
+	// chat() call, otherwise the input is the whole conversation
+	const payload = (request, {continued = false} = {}) => {
+		if (!continued) history.length = 0;
+		if (request.instructions) {
+			if (history[0]?.role === 'system') history[0].content = request.instructions;
+			else history.unshift({'role': 'system', 'content': request.instructions});
+		}
+		history.push(...toMessages(request.input));
+		response = {'id': null, 'text': '', 'messageId': null, 'toolCalls': [], 'usage': null};
+
+		const body = {
+			'model': request.model,
+			'messages': history,
+			'stream': true,
+			'stream_options': {'include_usage': true},
+		};
+		if (request.temperature !== undefined) body.temperature = request.temperature;
+		if (request.top_p !== undefined) body.top_p = request.top_p;
+		if (request.max_output_tokens) body.max_tokens = request.max_output_tokens;
+		if (request.reasoning?.effort) body.reasoning_effort = request.reasoning.effort;
+		if (request.text?.format) body.response_format = toResponseFormat(request.text.format);
+		if (request.tools) {
+			body.tools = request.tools.map(tool => ({
+				'type': 'function',
+				'function': {'name': tool.name, 'description': tool.description, 'parameters': tool.parameters},
+			}));
+		}
+		if (request.tool_choice) body.tool_choice = toToolChoice(request.tool_choice);
+		if (request.parallel_tool_calls !== undefined) body.parallel_tool_calls = request.parallel_tool_calls;
+		return body;
+	};
+
+	const events = (chunk) => {
+		if (chunk.error) throw createStreamError(chunk.error, chunk);
+		const out = [];
+		if (!response.id) {
+			response.id = chunk.id || localId();
+			out.push({'type': 'response.created', 'id': response.id});
+		}
+		if (chunk.usage) response.usage = chunk.usage;
+
+		for (const choice of chunk.choices || []) {
+			const delta = choice.delta || {};
+			if (delta.content) {
+				if (!response.messageId) {
+					response.messageId = `${response.id}_message`;
+					out.push({
+						'type': 'response.output_item.added',
+						'item': {'type': 'message', 'id': response.messageId, 'role': 'assistant'},
+					});
+				}
+				response.text += delta.content;
+				out.push({'type': 'response.output_text.delta', 'item_id': response.messageId, 'delta': delta.content});
+			}
+
+			for (const part of delta.tool_calls || []) {
+				let call = response.toolCalls[part.index];
+				if (!call) {
+					call = {'id': part.id || `${response.id}_call_${part.index}`, 'name': part.function?.name, 'arguments': ''};
+					response.toolCalls[part.index] = call;
+					out.push({
+						'type': 'response.output_item.added',
+						'item': {'type': 'function_call', 'call_id': call.id, 'name': call.name, 'arguments': ''},
+					});
+				}
+				if (part.function?.arguments) {
+					call.arguments += part.function.arguments;
+					out.push({'type': 'response.function_call_arguments.delta', 'item_id': call.id, 'delta': part.function.arguments});
+				}
+			}
+		}
+		return out;
+	};
+
+	// Called once the stream ends: finishes tool calls and records the reply
+	const end = () => {
+		const calls = response.toolCalls.filter(Boolean);
+		const message = {'role': 'assistant', 'content': response.text || null};
+		if (calls.length) {
+			message.tool_calls = calls.map(call => ({
+				'id': call.id,
+				'type': 'function',
+				'function': {'name': call.name, 'arguments': call.arguments || '{}'},
+			}));
+		}
+		history.push(message);
+
+		const completed = {'id': response.id};
+		if (response.usage) completed.usage = toUsage(response.usage);
+		return [
+			...calls.map(call => ({
+				'type': 'response.function_call_arguments.done',
+				'item_id': call.id,
+				'arguments': call.arguments || '{}',
+			})),
+			{'type': 'response.completed', 'response': completed},
+		];
+	};
+
+	return {payload, events, end};
+};
+
+export default {
+	'name': 'chat-completions',
+	'apiBase': 'https://api.openai.com',
+	'path': '/v1/chat/completions',
+	'stateful': false,
+	'authHeaders': (secretKey) => ({'Authorization': `Bearer ${secretKey}`}),
+	'createSession': createSession,
+};
@@ -0,0 +1,16 @@
+import responses from './responses.js';
+import chatCompletions from './chat-completions.js';
+import anthropic from './anthropic.js';
+
+export const providers = {
+	[responses.name]: responses,
+	[chatCompletions.name]: chatCompletions,
+	[anthropic.name]: anthropic,
+};
+
+// Accepts a provider name or a custom provider object
+export const resolveProvider = (provider) => {
+	if (provider && typeof provider === 'object') return provider;
+	if (!providers[provider]) throw new Error(`Unknown provider: ${provider}`);
+	return providers[provider];
+};
@@ -0,0 +1,15 @@
+// OpenAI Responses API. Payloads and events already use the shape chat()
+// works with, so the session passes them through untouched.
+export default {
+	'name': 'openai',
+	'apiBase': 'https://api.openai.com',
+	'path': '/v1/responses',
+	'stateful': true,
+	'hostedTools': true,
+	'authHeaders': (secretKey) => ({'Authorization': `Bearer ${secretKey}`}),
+	'createSession': () => ({
+		'payload': (payload) => payload,
+		'events': (event) => [event],
+		'end': () => [],
+	}),
+};
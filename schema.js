@@ -0,0 +1,68 @@
+// Small JSON Schema validator covering the subset the Responses API accepts
+// for tools and structured outputs: type, enum, const, properties, required,
+// additionalProperties, items and anyOf.
+
+const typeOf = (value) => {
+	if (value === null) return 'null';
+	if (Array.isArray(value)) return 'array';
+	return typeof value;
+};
+
+const matchesType = (type, value) => {
+	if (type === 'integer') return Number.isInteger(value);
+	if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+	return typeOf(value) === type;
+};
+
+const check = (schema, value, path, errors) => {
+	if (!schema || typeof schema !== 'object') return errors;
+
+	if (schema.anyOf) {
+		const matched = schema.anyOf.some(option => !check(option, value, path, []).length);
+		if (!matched) errors.push({'path': path, 'message': 'does not match any allowed schema'});
+		return errors;
+	}
+
+	if (schema.type) {
+		const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+		if (!types.some(type => matchesType(type, value))) {
+			errors.push({'path': path, 'message': `must be ${types.join(' or ')}, got ${typeOf(value)}`});
+			return errors;
+		}
+	}
+
+	if (schema.enum && !schema.enum.some(option => option === value)) {
+		errors.push({'path': path, 'message': `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`});
+	}
+	if ('const' in schema && schema.const !== value) {
+		errors.push({'path': path, 'message': `must equal ${JSON.stringify(schema.const)}`});
+	}
+
+	if (typeOf(value) === 'object') {
+		const properties = schema.properties || {};
+		for (const key of schema.required || []) {
+			if (!(key in value)) errors.push({'path': `${path}.${key}`, 'message': 'is required'});
+		}
+		for (const [key, child] of Object.entries(value)) {
+			if (key in properties) {
+				check(properties[key], child, `${path}.${key}`, errors);
+			} else if (schema.additionalProperties === false) {
+				errors.push({'path': `${path}.${key}`, 'message': 'is not allowed'});
+			} else if (typeof schema.additionalProperties === 'object') {
+				check(schema.additionalProperties, child, `${path}.${key}`, errors);
+			}
+		}
+	}
+
+	if (Array.isArray(value) && schema.items) {
+		value.forEach((item, i) => check(schema.items, item, `${path}[${i}]`, errors));
+	}
+
+	return errors;
+};
+
+// Returns a list of {path, message} errors, empty when the value is valid
+export const validateSchema = (schema, value) => check(schema, value, '$', []);
+
+// Joins validation errors into one readable line
+export const formatSchemaErrors = (errors) => errors.map(error => `${error.path} ${error.message}`).join('; ');
@@ -0,0 +1,48 @@
+import Mustache from 'mustache';
+
+// Prompt templates rendered with mustache. Prompts are plain text, so values
+// are inserted as they are instead of being HTML escaped.
+
+const hasPath = (variables, name) => {
+	let value = variables;
+	for (const key of name.split('.')) {
+		if (value === null || typeof value !== 'object' || !(key in value)) return false;
+		value = value[key];
+	}
+	return true;
+};
+
+// Collects the variables a template needs at its top level, following
+// partials. Names inside sections resolve against the section's items, so
+// only the partials there are checked.
+const collectNames = (tokens, partials, names, seen = new Set(), nested = new Set()) => {
+	for (const token of tokens) {
+		const [type, name] = token;
+		if (type === 'name' || type === '&' || type === '#') names.add(name);
+		if (type === '#' || type === '^') collectNames(token[4], partials, new Set(), nested, nested);
+		if (type !== '>' || seen.has(name)) continue;
+		if (!(name in partials)) throw new Error(`Unknown partial: ${name}`);
+		seen.add(name);
+		collectNames(Mustache.parse(partials[name]), partials, names, seen, nested);
+	}
+	return names;
+};
+
+export const renderTemplate = (text, variables, partials, label) => {
+	const missing = [...collectNames(Mustache.parse(text), partials, new Set())].filter(name => name !== '.' && !hasPath(variables, name));
+	if (missing.length) throw new Error(`Template "${label}" is missing variables: ${missing.join(', ')}`);
+	return Mustache.render(text, variables, partials, {'escape': value => String(value)});
+};
+
+export const validateTemplate = (name, template) => {
+	if (!template || typeof template !== 'object') throw new Error(`Template "${name}" must be an object`);
+	if (template.prompt === undefined && template.systemPrompt === undefined) {
+		throw new Error(`Template "${name}" must define a prompt or a systemPrompt`);
+	}
+	for (const key of ['prompt', 'systemPrompt']) {
+		if (template[key] !== undefined && typeof template[key] !== 'string') throw new Error(`Template "${name}" ${key} must be a string`);
+	}
+	// Parsing up front reports syntax errors when the template is added
+	if (template.prompt) Mustache.parse(template.prompt);
+	if (template.systemPrompt) Mustache.parse(template.systemPrompt);
+};
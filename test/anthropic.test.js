@@ -0,0 +1,214 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { OpenAI, Conversation } from '../index.js';
+import { createSseResponse } from './helpers.js';
+
+const messageStart = (id) => ({
+	'type': 'message_start',
+	'message': {'id': id, 'role': 'assistant', 'content': [], 'usage': {'input_tokens': 20, 'cache_read_input_tokens': 5, 'output_tokens': 1}},
+});
+
+test('Anthropic provider runs tools and maps events onto messages', async () => {
+	const requests = [];
+	const server = http.createServer((req, res) => {
+		let body = '';
+		req.on('data', chunk => body += chunk);
+		req.on('end', () => {
+			requests.push({'url': req.url, 'headers': req.headers, 'payload': JSON.parse(body)});
+			if (requests.length === 1) {
+				createSseResponse(res, [
+					messageStart('msg_1'),
+					{'type': 'content_block_start', 'index': 0, 'content_block': {'type': 'text', 'text': ''}},
+					{'type': 'content_block_delta', 'index': 0, 'delta': {'type': 'text_delta', 'text': 'Checking.'}},
+					{'type': 'content_block_stop', 'index': 0},
+					{'type': 'content_block_start', 'index': 1, 'content_block': {'type': 'tool_use', 'id': 'toolu_1', 'name': 'get_weather', 'input': {}}},
+					{'type': 'content_block_delta', 'index': 1, 'delta': {'type': 'input_json_delta', 'partial_json': '{"city":'}},
+					{'type': 'content_block_delta', 'index': 1, 'delta': {'type': 'input_json_delta', 'partial_json': '"Boston"}'}},
+					{'type': 'content_block_stop', 'index': 1},
+					{'type': 'message_delta', 'delta': {'stop_reason': 'tool_use'}, 'usage': {'output_tokens': 10}},
+					{'type': 'message_stop'},
+				], {'named': true});
+				return;
+			}
+			createSseResponse(res, [
+				messageStart('msg_2'),
+				{'type': 'content_block_start', 'index': 0, 'content_block': {'type': 'text', 'text': ''}},
+				{'type': 'content_block_delta', 'index': 0, 'delta': {'type': 'text_delta', 'text': 'Sunny in Boston'}},
+				{'type': 'content_block_stop', 'index': 0},
+				{'type': 'message_delta', 'delta': {'stop_reason': 'end_turn'}, 'usage': {'output_tokens': 4}},
+				{'type': 'message_stop'},
+			], {'named': true});
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const address = server.address();
+	const llm = new OpenAI({
+		'provider': 'anthropic',
+		'apiBase': `http://127.0.0.1:${address.port}`,
+		'model': 'claude-sonnet',
+		'secretKey': 'test-key',
+	});
+
+	try {
+		const result = await llm.chat('weather?', {
+			'systemPrompt': 'Be brief.',
+			'tools': {
+				'get_weather': {
+					'description': 'Look up the weather',
+					'parameters': {'type': 'object', 'properties': {'city': {'type': 'string'}}},
+					'run': async ({city}) => ({'forecast': `Sunny in ${city}`}),
+				},
+			},
+		});
+
+		assert.equal(result.content, 'Sunny in Boston');
+		assert.equal(result.lastMessageId, 'msg_2');
+		assert.deepEqual(result.messages.map(message => [message.role, message.type, message.status]), [
+			['assistant', 'message', 'completed'],
+			['tool', 'tool_call', 'completed'],
+			['assistant', 'message', 'completed'],
+		]);
+		assert.equal(result.messages[0].content, 'Checking.');
+		assert.deepEqual(result.messages[1].input, {'city': 'Boston'});
+		assert.equal(result.usage.inputTokens, 50);
+		assert.equal(result.usage.cachedInputTokens, 10);
+		assert.equal(result.usage.outputTokens, 14);
+
+		assert.equal(requests[0].url, '/v1/messages');
+		assert.equal(requests[0].headers['x-api-key'], 'test-key');
+		assert.equal(requests[0].headers['anthropic-version'], '2023-06-01');
+		assert.equal(requests[0].headers.authorization, undefined);
+		assert.equal(requests[0].payload.system, 'Be brief.');
+		assert.equal(requests[0].payload.max_tokens, 4096);
+		assert.deepEqual(requests[0].payload.tools, [{
+			'name': 'get_weather',
+			'description': 'Look up the weather',
+			'input_schema': {'type': 'object', 'properties': {'city': {'type': 'string'}}},
+		}]);
+		assert.deepEqual(requests[1].payload.messages, [
+			{'role': 'user', 'content': 'weather?'},
+			{'role': 'assistant', 'content': [
+				{'type': 'text', 'text': 'Checking.'},
+				{'type': 'tool_use', 'id': 'toolu_1', 'name': 'get_weather', 'input': {'city': 'Boston'}},
+			]},
+			{'role': 'user', 'content': [
+				{'type': 'tool_result', 'tool_use_id': 'toolu_1', 'content': '{"forecast":"Sunny in Boston"}'},
+			]},
+		]);
+	} finally {
+		server.close();
+	}
+});
+
+test('Anthropic provider replays tool arguments that are not JSON', async () => {
+	const requests = [];
+	const server = http.createServer((req, res) => {
+		let body = '';
+		req.on('data', chunk => body += chunk);
+		req.on('end', () => {
+			requests.push(JSON.parse(body));
+			if (requests.length === 1) {
+				createSseResponse(res, [
+					messageStart('msg_1'),
+					{'type': 'content_block_start', 'index': 0, 'content_block': {'type': 'tool_use', 'id': 'toolu_1', 'name': 'get_weather', 'input': {}}},
+					{'type': 'content_block_delta', 'index': 0, 'delta': {'type': 'input_json_delta', 'partial_json': '{"city":'}},
+					{'type': 'content_block_stop', 'index': 0},
+					{'type': 'message_stop'},
+				], {'named': true});
+				return;
+			}
+			createSseResponse(res, [
+				messageStart('msg_2'),
+				{'type': 'content_block_start', 'index': 0, 'content_block': {'type': 'text', 'text': ''}},
+				{'type': 'content_block_delta', 'index': 0, 'delta': {'type': 'text_delta', 'text': 'Sorry'}},
+				{'type': 'content_block_stop', 'index': 0},
+				{'type': 'message_stop'},
+			], {'named': true});
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const llm = new OpenAI({
+		'provider': 'anthropic',
+		'apiBase': `http://127.0.0.1:${server.address().port}`,
+		'model': 'claude-sonnet',
+		'secretKey': 'test-key',
+	});
+
+	try {
+		const result = await llm.chat('weather?', {
+			'conversation': new Conversation(),
+			'tools': {'get_weather': {'run': () => assert.fail('invalid calls do not run')}},
+		});
+
+		assert.equal(result.content, 'Sorry');
+		assert.equal(result.messages[0].status, 'invalid');
+		assert.deepEqual(requests[1].messages[1], {
+			'role': 'assistant',
+			'content': [{'type': 'tool_use', 'id': 'toolu_1', 'name': 'get_weather', 'input': {}}],
+		});
+		assert.match(JSON.parse(requests[1].messages[2].content[0].content).error, /is not valid JSON/);
+	} finally {
+		server.close();
+	}
+});
+
+test('Anthropic provider rejects on stream error events', async () => {
+	const server = http.createServer((req, res) => {
+		req.on('data', () => {});
+		req.on('end', () => {
+			createSseResponse(res, [
+				messageStart('msg_1'),
+				{'type': 'error', 'error': {'type': 'overloaded_error', 'message': 'Overloaded'}},
+			], {'named': true});
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const address = server.address();
+	const llm = new OpenAI({
+		'provider': 'anthropic',
+		'apiBase': `http://127.0.0.1:${address.port}`,
+		'model': 'claude-sonnet',
+	});
+
+	try {
+		await assert.rejects(llm.chat('hello'), /overloaded_error/);
+	} finally {
+		server.close();
+	}
+});
+
+test('Anthropic provider converts images and PDFs into content blocks', async () => {
+	const requests = [];
+	const server = http.createServer((req, res) => {
+		let body = '';
+		req.on('data', chunk => body += chunk);
+		req.on('end', () => {
+			requests.push(JSON.parse(body));
+			createSseResponse(res, [messageStart('msg_1'), {'type': 'message_stop'}], {'named': true});
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const address = server.address();
+	const llm = new OpenAI({
+		'provider': 'anthropic',
+		'apiBase': `http://127.0.0.1:${address.port}`,
+		'model': 'claude-sonnet',
+	});
+	const pdf = Buffer.from('%PDF-1.7');
+
+	try {
+		await llm.chat('summarize', {
+			'images': ['https://example.com/a.png'],
+			'files': [pdf, {'data': Buffer.from('notes'), 'mimeType': 'text/plain'}],
+		});
+		assert.deepEqual(requests[0].messages[0].content, [
+			{'type': 'text', 'text': 'summarize'},
+			{'type': 'image', 'source': {'type': 'url', 'url': 'https://example.com/a.png'}},
+			{'type': 'document', 'source': {'type': 'base64', 'media_type': 'application/pdf', 'data': pdf.toString('base64')}},
+			{'type': 'document', 'source': {'type': 'text', 'media_type': 'text/plain', 'data': 'notes'}},
+		]);
+	} finally {
+		server.close();
+	}
+});
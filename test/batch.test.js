@@ -0,0 +1,166 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { OpenAI, BadRequestError, LLMError } from '../index.js';
+import { createSseResponse } from './helpers.js';
+
+test('OpenAI batch runs chats in order, keeps per-item errors and paces on rate limit headers', async () => {
+	let active = 0;
+	let maxActive = 0;
+	const server = http.createServer((req, res) => {
+		let body = '';
+		req.on('data', chunk => body += chunk);
+		req.on('end', () => {
+			const {input} = JSON.parse(body);
+			active++;
+			maxActive = Math.max(maxActive, active);
+			setTimeout(() => {
+				active--;
+				if (input === 'bad') {
+					res.writeHead(400, {'Content-Type': 'application/json'});
+					res.end(JSON.stringify({'error': {'message': 'bad prompt'}}));
+					return;
+				}
+				createSseResponse(res, [
+					{'type': 'response.created', 'id': `resp_${input}`},
+					{'type': 'response.output_item.added', 'item': {'type': 'message', 'id': `msg_${input}`, 'role': 'assistant'}},
+					{'type': 'response.output_text.delta', 'item_id': `msg_${input}`, 'delta': `label-${input}`},
+					{'type': 'response.completed', 'response': {'id': `resp_${input}`, 'usage': {'input_tokens': 3, 'output_tokens': 1, 'total_tokens': 4}}},
+				], {
+					'headers': {
+						'x-ratelimit-limit-requests': '100',
+						'x-ratelimit-remaining-requests': input === 'a' ? '0' : '50',
+						'x-ratelimit-reset-requests': '30ms',
+					},
+				});
+			}, 5);
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const address = server.address();
+	const llm = new OpenAI({
+		'apiBase': `http://127.0.0.1:${address.port}`,
+		'model': 'gpt-5',
+	});
+	const events = [];
+
+	try {
+		const results = await llm.batch(['a', 'bad', {'prompt': 'c', 'temperature': 0}, 'd'], {
+			'concurrency': 2,
+			'tokensPerMinute': 100000,
+			'chatOptions': {'maxRetries': 0},
+			'onProgress': event => events.push(event),
+		});
+		assert.deepEqual(results.map(result => result.status), ['fulfilled', 'rejected', 'fulfilled', 'fulfilled']);
+		assert.deepEqual(results.filter(result => result.value).map(result => result.value.content), ['label-a', 'label-c', 'label-d']);
+		assert.ok(results[1].reason instanceof BadRequestError);
+		assert.ok(maxActive <= 2);
+
+		assert.ok(events.some(event => event.type === 'rate_limited' && event.wait > 0));
+		const last = events.filter(event => event.type === 'item_completed' || event.type === 'item_failed').at(-1);
+		assert.deepEqual([last.completed, last.failed, last.total], [3, 1, 4]);
+
+		const controller = new AbortController();
+		const aborted = llm.batch(['x', 'y', 'z'], {
+			'concurrency': 1,
+			'signal': controller.signal,
+			'onProgress': event => event.type === 'item_completed' && controller.abort(),
+		});
+		await assert.rejects(aborted, (err) => {
+			assert.equal(err.name, 'AbortError');
+			assert.equal(err.results[0].value.content, 'label-x');
+			assert.equal(err.results[2], undefined);
+			return true;
+		});
+	} finally {
+		server.close();
+	}
+});
+
+test('OpenAI batch submits to the Batch API and polls for results', async () => {
+	const seen = [];
+	let upload = '';
+	let polls = 0;
+	const response = (id, text) => ({
+		'id': id,
+		'output': [{'type': 'message', 'id': `msg_${id}`, 'content': [{'type': 'output_text', 'text': text}]}],
+		'usage': {'input_tokens': 10, 'output_tokens': 5, 'total_tokens': 15},
+	});
+	const server = http.createServer((req, res) => {
+		let body = '';
+		req.on('data', chunk => body += chunk);
+		req.on('end', () => {
+			seen.push(`${req.method} ${req.url}`);
+			const json = (data) => {
+				res.writeHead(200, {'Content-Type': 'application/json'});
+				res.end(JSON.stringify(data));
+			};
+			if (req.url === '/v1/files') {
+				assert.match(req.headers['content-type'], /^multipart\/form-data; boundary=/);
+				upload = body;
+				return json({'id': 'file_in'});
+			}
+			if (req.url === '/v1/batches') {
+				assert.deepEqual(JSON.parse(body), {'input_file_id': 'file_in', 'endpoint': '/v1/responses', 'completion_window': '24h'});
+				return json({'id': 'batch_1', 'status': 'validating'});
+			}
+			if (req.url === '/v1/batches/batch_1') {
+				polls++;
+				return json(polls < 2
+					? {'id': 'batch_1', 'status': 'in_progress', 'request_counts': {'total': 3, 'completed': 1, 'failed': 0}}
+					: {'id': 'batch_1', 'status': 'completed', 'output_file_id': 'file_out', 'error_file_id': 'file_err'});
+			}
+			res.writeHead(200, {'Content-Type': 'application/octet-stream'});
+			if (req.url === '/v1/files/file_out/content') {
+				res.end([
+					{'custom_id': 'item-2', 'response': {'status_code': 200, 'body': response('resp_c', '{"label":"spam"}')}},
+					{'custom_id': 'item-0', 'response': {'status_code': 200, 'body': response('resp_a', '{"label":"ham"}')}},
+				].map(line => JSON.stringify(line)).join('\n'));
+				return;
+			}
+			res.end(JSON.stringify({'custom_id': 'item-1', 'error': {'code': 'invalid', 'message': 'Bad input'}}));
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const address = server.address();
+	const llm = new OpenAI({
+		'apiBase': `http://127.0.0.1:${address.port}`,
+		'model': 'gpt-5',
+		'prices': {'gpt-5': {'input': 1, 'output': 2}},
+	});
+	const events = [];
+
+	try {
+		const results = await llm.batch(['one', 'two', {'prompt': 'three', 'systemPrompt': 'Classify'}], {
+			'batchApi': true,
+			'pollInterval': 1,
+			'chatOptions': {'json': true},
+			'onProgress': event => events.push(event.type),
+		});
+		const lines = upload
+			.slice(upload.indexOf('{"custom_id"'), upload.lastIndexOf('}') + 1)
+			.split('\n')
+			.map(line => JSON.parse(line));
+		assert.deepEqual(lines.map(line => [line.custom_id, line.url, line.body.input, line.body.text.format.type]), [
+			['item-0', '/v1/responses', 'one', 'json_object'],
+			['item-1', '/v1/responses', 'two', 'json_object'],
+			['item-2', '/v1/responses', 'three', 'json_object'],
+		]);
+		assert.equal(lines[2].body.instructions, 'Classify');
+		assert.match(upload, /name="purpose"\r\n\r\nbatch/);
+
+		assert.deepEqual(results.map(result => result.status), ['fulfilled', 'rejected', 'fulfilled']);
+		assert.deepEqual(results[0].value.content, {'label': 'ham'});
+		assert.equal(results[2].value.lastMessageId, 'resp_c');
+		assert.equal(results[2].value.usage.cost, 0.00002);
+		assert.ok(results[1].reason instanceof LLMError);
+		assert.match(results[1].reason.message, /Bad input/);
+		assert.equal(llm.usage.totalTokens, 30);
+
+		assert.deepEqual(seen.slice(0, 2), ['POST /v1/files', 'POST /v1/batches']);
+		assert.deepEqual(events.slice(0, 3), ['batch_submitted', 'batch_status', 'batch_status']);
+		await assert.rejects(llm.batch([{'prompt': 'x', 'tools': {'t': () => 1}}], {'batchApi': true}), /tools is not supported with batchApi/);
+	} finally {
+		server.close();
+	}
+});
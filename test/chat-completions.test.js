@@ -0,0 +1,305 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { OpenAI, Conversation, RateLimitError } from '../index.js';
+import { createSseResponse } from './helpers.js';
+
+const chunk = (id, delta, extra = {}) => ({
+	'id': id,
+	'object': 'chat.completion.chunk',
+	'choices': [{'index': 0, 'delta': delta, 'finish_reason': null}],
+	...extra,
+});
+
+test('Chat completions provider streams JSON text and reports usage', async () => {
+	const requests = [];
+	const server = http.createServer((req, res) => {
+		let body = '';
+		req.on('data', chunk => body += chunk);
+		req.on('end', () => {
+			requests.push({'url': req.url, 'headers': req.headers, 'payload': JSON.parse(body)});
+			createSseResponse(res, [
+				chunk('chatcmpl_1', {'role': 'assistant', 'content': ''}),
+				chunk('chatcmpl_1', {'content': '{"greeting":'}),
+				chunk('chatcmpl_1', {'content': '"Hello"}'}),
+				{'id': 'chatcmpl_1', 'choices': [], 'usage': {'prompt_tokens': 12, 'completion_tokens': 3, 'total_tokens': 15}},
+			], {'done': true});
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const address = server.address();
+	const llm = new OpenAI({
+		'provider': 'chat-completions',
+		'apiBase': `http://127.0.0.1:${address.port}`,
+		'model': 'llama-3',
+		'secretKey': 'test-key',
+	});
+	const seen = [];
+	llm.on('message', message => seen.push(message));
+
+	try {
+		const result = await llm.chat('hello', {'systemPrompt': 'Be brief.', 'json': true, 'maxTokens': 50});
+		assert.deepEqual(result.content, {'greeting': 'Hello'});
+		assert.equal(result.lastMessageId, 'chatcmpl_1');
+		assert.equal(result.usage.inputTokens, 12);
+		assert.equal(result.usage.outputTokens, 3);
+		assert.equal(seen[0].role, 'assistant');
+		assert.equal(seen[0].type, 'message');
+		assert.equal(seen[0].status, 'completed');
+
+		assert.equal(requests[0].url, '/v1/chat/completions');
+		assert.equal(requests[0].headers.authorization, 'Bearer test-key');
+		assert.deepEqual(requests[0].payload, {
+			'model': 'llama-3',
+			'messages': [
+				{'role': 'system', 'content': 'Be brief.'},
+				{'role': 'user', 'content': 'hello'},
+			],
+			'stream': true,
+			'stream_options': {'include_usage': true},
+			'max_tokens': 50,
+			'response_format': {'type': 'json_object'},
+		});
+	} finally {
+		server.close();
+	}
+});
+
+test('Chat completions provider runs tools and replays the history', async () => {
+	const requests = [];
+	const server = http.createServer((req, res) => {
+		let body = '';
+		req.on('data', chunk => body += chunk);
+		req.on('end', () => {
+			requests.push(JSON.parse(body));
+			if (requests.length === 1) {
+				createSseResponse(res, [
+					chunk('chatcmpl_1', {
+						'role': 'assistant',
+						'tool_calls': [{'index': 0, 'id': 'call_1', 'type': 'function', 'function': {'name': 'get_weather', 'arguments': ''}}],
+					}),
+					chunk('chatcmpl_1', {'tool_calls': [{'index': 0, 'function': {'arguments': '{"city":'}}]}),
+					chunk('chatcmpl_1', {'tool_calls': [{'index': 0, 'function': {'arguments': '"Boston"}'}}]}),
+				], {'done': true});
+				return;
+			}
+			createSseResponse(res, [
+				chunk('chatcmpl_2', {'role': 'assistant', 'content': 'Sunny in Boston'}),
+			], {'done': true});
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const address = server.address();
+	const llm = new OpenAI({
+		'provider': 'chat-completions',
+		'apiBase': `http://127.0.0.1:${address.port}`,
+		'model': 'llama-3',
+	});
+
+	try {
+		const result = await llm.chat('weather?', {
+			'tools': {
+				'get_weather': {
+					'description': 'Look up the weather',
+					'parameters': {'type': 'object', 'properties': {'city': {'type': 'string'}}},
+					'run': async ({city}) => ({'forecast': `Sunny in ${city}`}),
+				},
+			},
+		});
+
+		assert.equal(result.content, 'Sunny in Boston');
+		assert.equal(result.messages[0].type, 'tool_call');
+		assert.equal(result.messages[0].status, 'completed');
+		assert.deepEqual(result.messages[0].input, {'city': 'Boston'});
+		assert.deepEqual(requests[0].tools, [{
+			'type': 'function',
+			'function': {
+				'name': 'get_weather',
+				'description': 'Look up the weather',
+				'parameters': {'type': 'object', 'properties': {'city': {'type': 'string'}}},
+			},
+		}]);
+		assert.deepEqual(requests[1].messages, [
+			{'role': 'user', 'content': 'weather?'},
+			{
+				'role': 'assistant',
+				'content': null,
+				'tool_calls': [{'id': 'call_1', 'type': 'function', 'function': {'name': 'get_weather', 'arguments': '{"city":"Boston"}'}}],
+			},
+			{'role': 'tool', 'tool_call_id': 'call_1', 'content': '{"forecast":"Sunny in Boston"}'},
+		]);
+		await assert.rejects(llm.chat('again', {'lastMessageId': result.lastMessageId}), /not supported by the chat-completions provider/);
+	} finally {
+		server.close();
+	}
+});
+
+test('Chat completions provider replays the history when chunks carry no id', async () => {
+	const requests = [];
+	const server = http.createServer((req, res) => {
+		let body = '';
+		req.on('data', chunk => body += chunk);
+		req.on('end', () => {
+			requests.push(JSON.parse(body));
+			if (requests.length === 1) {
+				createSseResponse(res, [
+					chunk(undefined, {
+						'role': 'assistant',
+						'tool_calls': [{'index': 0, 'id': 'call_1', 'type': 'function', 'function': {'name': 'lookup', 'arguments': '{}'}}],
+					}),
+				], {'done': true});
+				return;
+			}
+			createSseResponse(res, [chunk(undefined, {'role': 'assistant', 'content': 'Found it'})], {'done': true});
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const llm = new OpenAI({
+		'provider': 'chat-completions',
+		'apiBase': `http://127.0.0.1:${server.address().port}`,
+		'model': 'llama-3',
+	});
+
+	try {
+		const result = await llm.chat('find it', {'tools': {'lookup': {'run': () => 'x'}}});
+
+		assert.equal(result.content, 'Found it');
+		assert.match(result.lastMessageId, /^chatcmpl_local_\d+$/);
+		assert.equal(result.messages[1]._id, `${result.lastMessageId}_message`);
+		assert.deepEqual(requests[1].messages, [
+			{'role': 'user', 'content': 'find it'},
+			{
+				'role': 'assistant',
+				'content': null,
+				'tool_calls': [{'id': 'call_1', 'type': 'function', 'function': {'name': 'lookup', 'arguments': '{}'}}],
+			},
+			{'role': 'tool', 'tool_call_id': 'call_1', 'content': 'x'},
+		]);
+	} finally {
+		server.close();
+	}
+});
+
+test('Chat completions provider retries error chunks as typed errors', async () => {
+	let calls = 0;
+	const server = http.createServer((req, res) => {
+		req.on('data', () => {});
+		req.on('end', () => {
+			calls++;
+			if (calls === 1) return createSseResponse(res, [{'error': {'code': 'server_error', 'message': 'boom'}}]);
+			if (calls === 3) return createSseResponse(res, [{'error': {'type': 'rate_limit_error', 'message': 'slow down'}}]);
+			createSseResponse(res, [chunk('chatcmpl_1', {'role': 'assistant', 'content': 'ok'})], {'done': true});
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const llm = new OpenAI({
+		'provider': 'chat-completions',
+		'apiBase': `http://127.0.0.1:${server.address().port}`,
+		'model': 'llama-3',
+		'retryDelay': 1,
+	});
+
+	try {
+		assert.equal((await llm.chat('hi')).content, 'ok');
+		assert.equal(calls, 2);
+		await assert.rejects(llm.chat('hi', {'maxRetries': 0}), RateLimitError);
+	} finally {
+		server.close();
+	}
+});
+
+test('Chat completions provider suspends for approval only with a Conversation', async () => {
+	const requests = [];
+	const server = http.createServer((req, res) => {
+		let body = '';
+		req.on('data', chunk => body += chunk);
+		req.on('end', () => {
+			const payload = JSON.parse(body);
+			requests.push(payload);
+			if (payload.messages.at(-1).role === 'user') {
+				createSseResponse(res, [
+					chunk('chatcmpl_1', {
+						'role': 'assistant',
+						'tool_calls': [{'index': 0, 'id': 'call_1', 'type': 'function', 'function': {'name': 'send_email', 'arguments': '{"to":"sam"}'}}],
+					}),
+				], {'done': true});
+				return;
+			}
+			createSseResponse(res, [chunk('chatcmpl_2', {'role': 'assistant', 'content': 'Sent'})], {'done': true});
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const llm = new OpenAI({
+		'provider': 'chat-completions',
+		'apiBase': `http://127.0.0.1:${server.address().port}`,
+		'model': 'llama-3',
+	});
+	const tools = {'send_email': {'requiresApproval': true, 'run': () => 'sent'}};
+
+	try {
+		await assert.rejects(llm.chat('email sam', {tools}), /Suspending tool calls for approval with the chat-completions provider requires a conversation/);
+		assert.equal(requests.length, 0);
+		await assert.rejects(llm.chat('email sam', {tools, 'approve': () => null}), /requires a conversation/);
+		assert.equal(requests.length, 1);
+
+		const conversation = new Conversation();
+		const suspended = await llm.chat('email sam', {tools, conversation});
+		assert.equal(suspended.suspended, true);
+		const result = await llm.resume(JSON.parse(JSON.stringify(suspended)), {
+			tools,
+			conversation,
+			'approvals': {'call_1': true},
+		});
+
+		assert.equal(result.content, 'Sent');
+		assert.equal(result.messages[0].output, 'sent');
+		assert.equal(requests.length, 3);
+		assert.deepEqual(requests[2].messages, [
+			{'role': 'user', 'content': 'email sam'},
+			{
+				'role': 'assistant',
+				'content': null,
+				'tool_calls': [{'id': 'call_1', 'type': 'function', 'function': {'name': 'send_email', 'arguments': '{"to":"sam"}'}}],
+			},
+			{'role': 'tool', 'tool_call_id': 'call_1', 'content': 'sent'},
+		]);
+	} finally {
+		server.close();
+	}
+});
+
+test('Chat completions provider continues a Conversation across calls', async () => {
+	const requests = [];
+	const server = http.createServer((req, res) => {
+		let body = '';
+		req.on('data', chunk => body += chunk);
+		req.on('end', () => {
+			requests.push(JSON.parse(body));
+			createSseResponse(res, [
+				chunk(`chatcmpl_${requests.length}`, {'role': 'assistant', 'content': `reply-${requests.length}`}),
+			], {'done': true});
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const address = server.address();
+	const llm = new OpenAI({
+		'provider': 'chat-completions',
+		'apiBase': `http://127.0.0.1:${address.port}`,
+		'model': 'llama-3',
+	});
+	const conversation = new Conversation();
+
+	try {
+		await llm.chat('hello', {conversation, 'systemPrompt': 'Be brief.'});
+		const second = await llm.chat('again', {conversation, 'systemPrompt': 'Be brief.'});
+		assert.equal(second.content, 'reply-2');
+		assert.deepEqual(requests[1].messages, [
+			{'role': 'system', 'content': 'Be brief.'},
+			{'role': 'user', 'content': 'hello'},
+			{'role': 'assistant', 'content': 'reply-1'},
+			{'role': 'user', 'content': 'again'},
+		]);
+	} finally {
+		server.close();
+	}
+});
@@ -0,0 +1,100 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { createSseResponse } from './helpers.js';
+
+const cli = fileURLToPath(new URL('../cli.js', import.meta.url));
+
+// Runs the CLI with the prompt piped to stdin
+const runCli = (args, input = '') => new Promise((resolve, reject) => {
+	const child = spawn(process.execPath, [cli, ...args], {'env': {...process.env, 'OPENAI_API_KEY': 'test-key'}});
+	let stdout = '';
+	let stderr = '';
+	child.stdout.on('data', chunk => stdout += chunk);
+	child.stderr.on('data', chunk => stderr += chunk);
+	child.on('error', reject);
+	child.on('close', code => resolve({code, stdout, stderr}));
+	child.stdin.end(input);
+});
+
+test('poon-llm answers a one-shot prompt as text, JSON or JSONL events and runs tools from a module', async () => {
+	const requests = [];
+	const server = http.createServer((req, res) => {
+		let body = '';
+		req.on('data', chunk => body += chunk);
+		req.on('end', () => {
+			const payload = JSON.parse(body);
+			requests.push(payload);
+			if (payload.input === 'fail') {
+				res.writeHead(401, {'Content-Type': 'application/json'});
+				res.end(JSON.stringify({'error': {'message': 'bad key'}}));
+				return;
+			}
+			if (payload.tools && !payload.previous_response_id) {
+				createSseResponse(res, [
+					{'type': 'response.created', 'id': 'resp_1'},
+					{'type': 'response.output_item.added', 'item': {'type': 'function_call', 'id': 'fc_1', 'call_id': 'call_1', 'name': 'add', 'arguments': ''}},
+					{'type': 'response.function_call_arguments.done', 'item_id': 'call_1', 'arguments': '{"a":2,"b":3}'},
+					{'type': 'response.completed', 'id': 'resp_1'},
+				]);
+				return;
+			}
+			const text = payload.text ? '{"answer": 5}' : Array.isArray(payload.input) ? 'Sum is 5' : 'Hello there';
+			createSseResponse(res, [
+				{'type': 'response.created', 'id': 'resp_2'},
+				{'type': 'response.output_item.added', 'item': {'type': 'message', 'id': 'msg_2', 'role': 'assistant'}},
+				{'type': 'response.output_text.delta', 'item_id': 'msg_2', 'delta': text.slice(0, 5)},
+				{'type': 'response.output_text.delta', 'item_id': 'msg_2', 'delta': text.slice(5)},
+				{'type': 'response.completed', 'id': 'resp_2'},
+			]);
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const base = ['--api-base', `http://127.0.0.1:${server.address().port}`, '--model', 'gpt-5'];
+	const dir = await mkdtemp(path.join(os.tmpdir(), 'poon-llm-'));
+
+	try {
+		const text = await runCli([...base, '-s', 'Be brief', 'Say', 'hi'], 'to me');
+		assert.deepEqual(text, {'code': 0, 'stdout': 'Hello there\n', 'stderr': ''});
+		assert.equal(requests[0].input, 'Say hi\n\nto me');
+		assert.equal(requests[0].instructions, 'Be brief');
+
+		const json = await runCli([...base, '--json', '--timeout', '5000', 'sum?']);
+		assert.equal(json.code, 0);
+		assert.deepEqual(JSON.parse(json.stdout), {'answer': 5});
+		assert.deepEqual(requests[1].text, {'format': {'type': 'json_object'}});
+
+		const tools = path.join(dir, 'tools.mjs');
+		await writeFile(tools, `export const add = {
+			'description': 'Adds two numbers',
+			'parameters': {'type': 'object', 'properties': {'a': {'type': 'number'}, 'b': {'type': 'number'}}},
+			'run': ({a, b}) => a + b,
+		};\n`);
+		const events = await runCli([...base, '--jsonl', '--tools', tools, 'add 2 and 3']);
+		assert.equal(events.code, 0);
+		const lines = events.stdout.trim().split('\n').map(line => JSON.parse(line));
+		assert.equal(requests[2].tools[0].name, 'add');
+		assert.ok(lines.some(event => event.type === 'tool_result' && event.message.output === 5));
+		assert.deepEqual(lines.filter(event => event.type === 'text_delta').map(event => event.delta), ['Sum i', 's 5']);
+		assert.equal(lines.at(-1).type, 'result');
+		assert.equal(lines.at(-1).result.content, 'Sum is 5');
+
+		const failed = await runCli([...base, '--jsonl', 'fail']);
+		assert.equal(failed.code, 1);
+		const error = JSON.parse(failed.stdout);
+		assert.deepEqual([error.type, error.name, error.status], ['error', 'AuthError', 401]);
+		assert.equal(failed.stderr, `Error: ${error.message}\n`);
+
+		const missing = await runCli(['hi']);
+		assert.equal(missing.code, 1);
+		assert.match(missing.stderr, /A model is required/);
+	} finally {
+		server.close();
+		await rm(dir, {'recursive': true, 'force': true});
+	}
+});
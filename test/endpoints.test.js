@@ -0,0 +1,87 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { OpenAI, AuthError } from '../index.js';
+
+const toBase64 = (values) => Buffer.from(new Float32Array(values).buffer).toString('base64');
+
+test('OpenAI embed batches inputs, retries and decodes base64, moderate and transcribe reuse the client', async () => {
+	const requests = [];
+	let failures = 1;
+	const server = http.createServer((req, res) => {
+		const chunks = [];
+		req.on('data', chunk => chunks.push(chunk));
+		req.on('end', () => {
+			const body = Buffer.concat(chunks).toString();
+			requests.push({'url': req.url, 'headers': req.headers, body});
+			const json = (status, data) => {
+				res.writeHead(status, {'Content-Type': 'application/json'});
+				res.end(JSON.stringify(data));
+			};
+			if (req.url === '/v1/embeddings') {
+				if (failures-- > 0) return json(500, {'error': {'message': 'try again'}});
+				const {input, encoding_format: format} = JSON.parse(body);
+				const data = input.map((text, index) => ({
+					'index': index,
+					'embedding': format === 'base64' ? toBase64([text.length, 0.5]) : [text.length, 0.5],
+				}));
+				return json(200, {'model': 'text-embedding-3-small', 'data': data.reverse(), 'usage': {'prompt_tokens': input.length, 'total_tokens': input.length}});
+			}
+			if (req.url === '/v1/moderations') {
+				return json(200, {'model': 'omni-moderation-latest', 'results': [
+					{'flagged': false, 'categories': {'violence': false}, 'category_scores': {'violence': 0.01}},
+					{'flagged': true, 'categories': {'violence': true}, 'category_scores': {'violence': 0.97}},
+				]});
+			}
+			if (req.headers['authorization'] !== 'Bearer test-key') return json(401, {'error': {'message': 'bad key'}});
+			res.writeHead(200, {'Content-Type': 'text/plain'});
+			res.end('1\n00:00:00,000 --> 00:00:01,000\nHello\n');
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const llm = new OpenAI({
+		'apiBase': `http://127.0.0.1:${server.address().port}`,
+		'model': 'gpt-5',
+		'secretKey': 'test-key',
+		'retryDelay': 1,
+		'prices': {'text-embedding-3-small': {'input': 0.02}},
+	});
+
+	try {
+		const floats = await llm.embed(['a', 'bb', 'ccc'], {'batchSize': 2, 'dimensions': 2});
+		assert.deepEqual(floats.embeddings, [[1, 0.5], [2, 0.5], [3, 0.5]]);
+		assert.deepEqual(requests.filter(request => request.url === '/v1/embeddings').map(request => JSON.parse(request.body).input), [['a', 'bb'], ['a', 'bb'], ['ccc']]);
+		assert.equal(JSON.parse(requests[1].body).dimensions, 2);
+		assert.equal(floats.usage.inputTokens, 3);
+		assert.ok(Math.abs(floats.usage.cost - 0.00000006) < 1e-15);
+		assert.equal(llm.usage.inputTokens, 3);
+
+		const decoded = await llm.embed('dddd', {'encodingFormat': 'base64'});
+		assert.ok(decoded.embeddings[0] instanceof Float32Array);
+		assert.deepEqual(Array.from(decoded.embeddings[0]), [4, 0.5]);
+
+		const moderation = await llm.moderate(['hello', 'threat']);
+		assert.equal(moderation.flagged, true);
+		assert.deepEqual(moderation.results[1].categoryScores, {'violence': 0.97});
+		assert.deepEqual(JSON.parse(requests.at(-1).body), {'model': 'omni-moderation-latest', 'input': ['hello', 'threat']});
+
+		const wav = Buffer.concat([Buffer.from('RIFF\0\0\0\0WAVE'), Buffer.alloc(8)]);
+		const transcript = await llm.transcribe(wav, {'responseFormat': 'srt', 'language': 'en', 'timestampGranularities': ['word', 'segment']});
+		assert.equal(transcript.text, '1\n00:00:00,000 --> 00:00:01,000\nHello\n');
+		const upload = requests.at(-1);
+		assert.equal(upload.url, '/v1/audio/transcriptions');
+		assert.match(upload.headers['content-type'], /^multipart\/form-data; boundary=/);
+		assert.match(upload.body, /name="file"; filename="audio\.wav"\r\nContent-Type: audio\/wav/);
+		assert.match(upload.body, /name="model"\r\n\r\ngpt-4o-mini-transcribe\r\n/);
+		assert.equal(upload.body.match(/name="timestamp_granularities\[\]"/g).length, 2);
+
+		const anonymous = new OpenAI({'apiBase': llm.apiBase, 'model': 'gpt-5', 'maxRetries': 0});
+		await assert.rejects(anonymous.transcribe({'data': wav, 'filename': 'clip.wav'}), AuthError);
+		await assert.rejects(llm.transcribe(Buffer.from('plain bytes')), /Unknown audio format, pass a filename/);
+		await assert.rejects(llm.embed([]), /non-empty array of strings/);
+		const claude = new OpenAI({'provider': 'anthropic', 'model': 'claude-sonnet-4-5'});
+		await assert.rejects(claude.embed('hi'), /Embeddings is not supported by the anthropic provider/);
+	} finally {
+		server.close();
+	}
+});
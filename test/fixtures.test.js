@@ -0,0 +1,118 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { OpenAI, BadRequestError, recordFixtures, replayFixtures } from '../index.js';
+import { createSseResponse } from './helpers.js';
+
+test('Fixtures record a tool-calling chat and replay it offline', async () => {
+	let calls = 0;
+	const server = http.createServer((req, res) => {
+		req.on('data', () => {});
+		req.on('end', () => {
+			calls++;
+			if (calls === 1) {
+				createSseResponse(res, [
+					{'type': 'response.created', 'id': 'resp_1'},
+					{'type': 'response.output_item.added', 'item': {'type': 'function_call', 'call_id': 'call_1', 'name': 'get_weather', 'arguments': ''}},
+					{'type': 'response.function_call_arguments.done', 'item_id': 'call_1', 'arguments': '{"city":"Boston"}'},
+					{'type': 'response.completed', 'id': 'resp_1'},
+				]);
+				return;
+			}
+			createSseResponse(res, [
+				{'type': 'response.created', 'id': 'resp_2'},
+				{'type': 'response.output_item.added', 'item': {'type': 'message', 'id': 'msg_2', 'role': 'assistant'}},
+				{'type': 'response.output_text.delta', 'item_id': 'msg_2', 'delta': 'Sunny'},
+				{'type': 'response.completed', 'id': 'resp_2'},
+			]);
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const dir = await mkdtemp(path.join(os.tmpdir(), 'poon-llm-'));
+	const file = path.join(dir, 'weather.json');
+	const tools = {'get_weather': async ({city}) => ({'forecast': `Sunny in ${city}`})};
+
+	try {
+		const recorder = await recordFixtures({file, 'apiBase': `http://127.0.0.1:${server.address().port}`});
+		const recorded = await new OpenAI({'apiBase': recorder.apiBase, 'secretKey': 'sk-secret', 'model': 'gpt-5'})
+			.chat('Weather in Boston?', {tools});
+		await recorder.close();
+		assert.equal(recorded.content, 'Sunny');
+
+		const saved = await readFile(file, 'utf8');
+		assert.ok(!saved.includes('sk-secret'));
+		const {interactions} = JSON.parse(saved);
+		assert.equal(interactions.length, 2);
+		assert.equal(interactions[1].payload.previous_response_id, 'resp_1');
+		assert.match(interactions[1].body, /^data: /);
+
+		server.close();
+		const replay = await replayFixtures({file});
+		const replayed = await new OpenAI({'apiBase': replay.apiBase, 'model': 'gpt-5'}).chat('Weather in Boston?', {tools});
+		assert.equal(replayed.content, 'Sunny');
+		assert.deepEqual(replayed.messages[0].output, {'forecast': 'Sunny in Boston'});
+		replay.assertDone();
+		await replay.close();
+
+		const mismatch = await replayFixtures({file});
+		const llm = new OpenAI({'apiBase': mismatch.apiBase, 'model': 'gpt-5', 'maxRetries': 0});
+		await assert.rejects(llm.chat('Weather in Paris?', {tools}), (err) => {
+			assert.ok(err instanceof BadRequestError);
+			assert.match(err.message, /Request 1 payload does not match the fixture at \$\.input/);
+			return true;
+		});
+		assert.throws(() => mismatch.assertDone(), /does not match/);
+		await mismatch.close();
+
+		const ignored = await replayFixtures({file, 'ignore': ['temperature']});
+		await new OpenAI({'apiBase': ignored.apiBase, 'model': 'gpt-5'}).chat('Weather in Boston?', {tools, 'temperature': 0.2});
+		ignored.assertDone();
+		await ignored.close();
+	} finally {
+		server.close();
+		await rm(dir, {'recursive': true});
+	}
+});
+
+test('Fixtures record multi-byte characters split across chunks', async () => {
+	const server = http.createServer((req, res) => {
+		req.on('data', () => {});
+		req.on('end', async () => {
+			const stream = Buffer.from([
+				{'type': 'response.created', 'id': 'resp_1'},
+				{'type': 'response.output_text.delta', 'item_id': 'msg_1', 'delta': 'Soleil ☀ à Paris'},
+				{'type': 'response.completed', 'id': 'resp_1'},
+			].map(event => `data: ${JSON.stringify(event)}\n\n`).join(''));
+			const split = stream.indexOf(Buffer.from('☀')) + 1;
+			res.writeHead(200, {'Content-Type': 'text/event-stream'});
+			res.write(stream.subarray(0, split));
+			await new Promise(resolve => setTimeout(resolve, 20));
+			res.end(stream.subarray(split));
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const dir = await mkdtemp(path.join(os.tmpdir(), 'poon-llm-'));
+	const file = path.join(dir, 'weather.json');
+
+	try {
+		const recorder = await recordFixtures({file, 'apiBase': `http://127.0.0.1:${server.address().port}`});
+		const recorded = await new OpenAI({'apiBase': recorder.apiBase, 'model': 'gpt-5'}).chat('Météo à Paris ?');
+		await recorder.close();
+		assert.equal(recorded.content, 'Soleil ☀ à Paris');
+
+		const {interactions} = JSON.parse(await readFile(file, 'utf8'));
+		assert.equal(interactions[0].payload.input, 'Météo à Paris ?');
+		assert.ok(interactions[0].body.includes('Soleil ☀ à Paris'));
+
+		const replay = await replayFixtures({file});
+		const replayed = await new OpenAI({'apiBase': replay.apiBase, 'model': 'gpt-5'}).chat('Météo à Paris ?');
+		assert.equal(replayed.content, 'Soleil ☀ à Paris');
+		await replay.close();
+	} finally {
+		server.close();
+		await rm(dir, {'recursive': true});
+	}
+});
@@ -0,0 +1,10 @@
+// Writes events as a server-sent event stream. named adds the event: line
+// Anthropic sends, done ends with the [DONE] line of Chat Completions.
+export const createSseResponse = (res, events, {headers = {}, named = false, done = false} = {}) => {
+	res.writeHead(200, {'Content-Type': 'text/event-stream', ...headers});
+	for (const event of events) {
+		res.write(`${named ? `event: ${event.type}\n` : ''}data: ${JSON.stringify(event)}\n\n`);
+	}
+	if (done) res.write('data: [DONE]\n\n');
+	res.end();
+};
@@ -0,0 +1,133 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { OpenAI, McpError, connectMcp } from '../index.js';
+import { createSseResponse } from './helpers.js';
+
+// Small stdio MCP server: two pages of tools, one that adds, one that reports
+// an error result and one that throws a JSON-RPC error
+const stdioServer = `
+const readline = require('node:readline');
+const send = (message) => process.stdout.write(JSON.stringify({'jsonrpc': '2.0', ...message}) + '\\n');
+readline.createInterface({'input': process.stdin}).on('line', line => {
+	const {id, method, params} = JSON.parse(line);
+	if (method === 'initialize') return send({id, 'result': {'protocolVersion': params.protocolVersion, 'capabilities': {'tools': {}}, 'serverInfo': {'name': 'math'}}});
+	if (method === 'tools/list' && !params.cursor) {
+		return send({id, 'result': {'nextCursor': 'page2', 'tools': [{'name': 'add', 'description': 'Adds numbers', 'inputSchema': {'type': 'object', 'properties': {'a': {'type': 'number'}, 'b': {'type': 'number'}}, 'required': ['a', 'b']}}]}});
+	}
+	if (method === 'tools/list') return send({id, 'result': {'tools': [{'name': 'divide', 'inputSchema': {'type': 'object'}}, {'name': 'explode'}]}});
+	if (method === 'tools/call' && params.name === 'add') {
+		return send({id, 'result': {'content': [{'type': 'text', 'text': String(params.arguments.a + params.arguments.b)}, {'type': 'image', 'data': '', 'mimeType': 'image/png'}]}});
+	}
+	if (method === 'tools/call' && params.name === 'divide') return send({id, 'result': {'isError': true, 'content': [{'type': 'text', 'text': 'Division by zero'}]}});
+	if (method === 'tools/call') return send({id, 'error': {'code': -32602, 'message': 'Unknown tool'}});
+});
+`;
+
+test('MCP client loads stdio tools and forwards calls from chat()', async () => {
+	const requests = [];
+	const server = http.createServer((req, res) => {
+		let body = '';
+		req.on('data', chunk => body += chunk);
+		req.on('end', () => {
+			requests.push(JSON.parse(body));
+			const n = requests.length;
+			if (n === 1) {
+				createSseResponse(res, [
+					{'type': 'response.created', 'id': 'resp_1'},
+					{'type': 'response.output_item.added', 'item': {'type': 'function_call', 'call_id': 'call_1', 'name': 'math_add', 'arguments': ''}},
+					{'type': 'response.function_call_arguments.done', 'item_id': 'call_1', 'arguments': '{"a":2,"b":3}'},
+					{'type': 'response.output_item.added', 'item': {'type': 'function_call', 'call_id': 'call_2', 'name': 'math_divide', 'arguments': ''}},
+					{'type': 'response.function_call_arguments.done', 'item_id': 'call_2', 'arguments': '{"a":1,"b":0}'},
+					{'type': 'response.completed', 'id': 'resp_1'},
+				]);
+				return;
+			}
+			createSseResponse(res, [
+				{'type': 'response.created', 'id': 'resp_2'},
+				{'type': 'response.output_item.added', 'item': {'type': 'message', 'id': 'msg_2', 'role': 'assistant'}},
+				{'type': 'response.output_text.delta', 'item_id': 'msg_2', 'delta': '5'},
+				{'type': 'response.completed', 'id': 'resp_2'},
+			]);
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const address = server.address();
+	const mcp = await connectMcp({'command': process.execPath, 'args': ['-e', stdioServer]});
+
+	try {
+		assert.equal(mcp.server.serverInfo.name, 'math');
+		const tools = await mcp.tools({'prefix': 'math_'});
+		assert.deepEqual(Object.keys(tools), ['math_add', 'math_divide', 'math_explode']);
+		assert.equal(tools.math_add.description, 'Adds numbers');
+
+		const llm = new OpenAI({'apiBase': `http://127.0.0.1:${address.port}`, 'model': 'gpt-5'});
+		const result = await llm.chat('2 + 3, and 1 / 0?', {tools});
+		assert.equal(result.content, '5');
+		assert.deepEqual(requests[1].input, [
+			{'type': 'function_call_output', 'call_id': 'call_1', 'output': '5\n[image: image/png]'},
+			{'type': 'function_call_output', 'call_id': 'call_2', 'output': '{"error":"Division by zero"}'},
+		]);
+		assert.equal(result.messages[1].status, 'failed');
+
+		await assert.rejects(mcp.callTool('explode', {}), (err) => {
+			assert.ok(err instanceof McpError);
+			assert.equal(err.code, -32602);
+			return true;
+		});
+	} finally {
+		server.close();
+		await mcp.close();
+	}
+	await assert.rejects(mcp.callTool('add', {'a': 1, 'b': 1}), /MCP client closed/);
+});
+
+test('MCP client speaks streamable HTTP with a session id', async () => {
+	const seen = [];
+	const server = http.createServer((req, res) => {
+		let body = '';
+		req.on('data', chunk => body += chunk);
+		req.on('end', () => {
+			const message = body ? JSON.parse(body) : null;
+			seen.push([req.method, message?.method ?? null, req.headers['mcp-session-id'] ?? null]);
+			if (req.method === 'DELETE' || !('id' in message)) {
+				res.writeHead(202);
+				res.end();
+				return;
+			}
+			if (message.method === 'initialize') {
+				res.writeHead(200, {'Content-Type': 'application/json', 'Mcp-Session-Id': 'session_1'});
+				res.end(JSON.stringify({'jsonrpc': '2.0', 'id': message.id, 'result': {'protocolVersion': '2025-06-18', 'capabilities': {}}}));
+				return;
+			}
+			if (message.method === 'tools/list') {
+				res.writeHead(200, {'Content-Type': 'application/json'});
+				res.end(JSON.stringify({'jsonrpc': '2.0', 'id': message.id, 'result': {'tools': [{'name': 'echo', 'inputSchema': {'type': 'object'}}]}}));
+				return;
+			}
+			createSseResponse(res, [{
+				'jsonrpc': '2.0',
+				'id': message.id,
+				'result': {'content': [{'type': 'text', 'text': 'hi'}], 'structuredContent': {'echo': message.params.arguments.text}},
+			}]);
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const address = server.address();
+	const mcp = await connectMcp({'url': `http://127.0.0.1:${address.port}/mcp`, 'headers': {'Authorization': 'Bearer token'}});
+
+	try {
+		const tools = await mcp.tools();
+		assert.deepEqual(await tools.echo.run({'text': 'hi'}), {'echo': 'hi'});
+		await mcp.close();
+		assert.deepEqual(seen, [
+			['POST', 'initialize', null],
+			['POST', 'notifications/initialized', 'session_1'],
+			['POST', 'tools/list', 'session_1'],
+			['POST', 'tools/call', 'session_1'],
+			['DELETE', null, 'session_1'],
+		]);
+	} finally {
+		server.close();
+	}
+});
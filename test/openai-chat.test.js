@@ -1,15 +1,23 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
 import http from 'node:http';
-import { OpenAI } from '../index.js';
-
-const createSseResponse = (res, events) => {
-	res.writeHead(200, {'Content-Type': 'text/event-stream'});
-	for (const event of events) {
-		res.write(`data: ${JSON.stringify(event)}\n\n`);
-	}
-	res.end();
-};
+import os from 'node:os';
+import path from 'node:path';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import {
+	OpenAI,
+	Conversation,
+	MemoryCache,
+	FileCache,
+	trimToTokens,
+	summarizeOlderTurns,
+	BadRequestError,
+	RateLimitError,
+	ServerError,
+	ConnectionError,
+	OutputValidationError,
+} from '../index.js';
+import { createSseResponse } from './helpers.js';
 
 test('OpenAI chat uses previous_response_id and emits message/update events', async () => {
 	const requests = [];
@@ -287,3 +295,1648 @@ test('OpenAI chat delivers updates before the stream ends', async () => {
 		server.close();
 	}
 });
+
+test('OpenAI chat aborts the in-flight request and keeps partial content', async () => {
+	const server = http.createServer((req, res) => {
+		req.on('data', () => {});
+		req.on('end', () => {
+			res.writeHead(200, {'Content-Type': 'text/event-stream'});
+			res.write(`data: ${JSON.stringify({'type': 'response.created', 'response': {'id': 'resp_1'}})}\n\n`);
+			res.write(`data: ${JSON.stringify({'type': 'response.output_item.added', 'item': {'type': 'message', 'id': 'msg_1', 'role': 'assistant'}})}\n\n`);
+			res.write(`data: ${JSON.stringify({'type': 'response.output_text.delta', 'item_id': 'msg_1', 'delta': 'Hel'})}\n\n`);
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const address = server.address();
+	const llm = new OpenAI({
+		'apiBase': `http://127.0.0.1:${address.port}`,
+		'model': 'gpt-5',
+		'secretKey': 'test-key',
+	});
+	const controller = new AbortController();
+	llm.on('update', message => {
+		if (message.content === 'Hel') controller.abort();
+	});
+
+	try {
+		await assert.rejects(llm.chat('hello', {'signal': controller.signal}), (err) => {
+			assert.equal(err.name, 'AbortError');
+			assert.equal(err.content, 'Hel');
+			assert.equal(err.lastMessageId, 'resp_1');
+			assert.equal(err.messages[0].status, 'aborted');
+			return true;
+		});
+	} finally {
+		server.closeAllConnections();
+		server.close();
+	}
+});
+
+test('OpenAI chat stops the tool loop once aborted', async () => {
+	const requests = [];
+	const server = http.createServer((req, res) => {
+		req.on('data', () => {});
+		req.on('end', () => {
+			requests.push(req.url);
+			createSseResponse(res, [
+				{'type': 'response.created', 'id': 'resp_1'},
+				{
+					'type': 'response.output_item.added',
+					'item': {'type': 'function_call', 'id': 'fc_1', 'call_id': 'call_1', 'name': 'slow', 'arguments': '{}'},
+				},
+				{'type': 'response.completed', 'id': 'resp_1'},
+			]);
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const address = server.address();
+	const llm = new OpenAI({
+		'apiBase': `http://127.0.0.1:${address.port}`,
+		'model': 'gpt-5',
+		'secretKey': 'test-key',
+	});
+	const controller = new AbortController();
+	let toolSignal;
+
+	try {
+		await assert.rejects(llm.chat('hello', {
+			'signal': controller.signal,
+			'tools': {
+				'slow': (input, {signal}) => {
+					toolSignal = signal;
+					controller.abort();
+					return new Promise(() => {});
+				},
+			},
+		}), (err) => {
+			assert.equal(err.name, 'AbortError');
+			assert.equal(err.lastMessageId, 'resp_1');
+			assert.equal(err.messages[0].status, 'aborted');
+			return true;
+		});
+		assert.equal(toolSignal, controller.signal);
+		assert.equal(requests.length, 1);
+	} finally {
+		server.close();
+	}
+});
+
+test('OpenAI chat retries rate limits and honors Retry-After', async () => {
+	let attempts = 0;
+	const server = http.createServer((req, res) => {
+		req.on('data', () => {});
+		req.on('end', () => {
+			attempts++;
+			if (attempts === 1) {
+				res.writeHead(429, {'Content-Type': 'application/json', 'Retry-After': '0'});
+				res.end(JSON.stringify({'error': {'message': 'Slow down'}}));
+				return;
+			}
+			if (attempts === 2) return req.socket.destroy();
+			if (attempts === 4) {
+				res.writeHead(429, {'Content-Type': 'application/json', 'Retry-After': '3600'});
+				res.end(JSON.stringify({'error': {'message': 'Come back in an hour'}}));
+				return;
+			}
+			createSseResponse(res, [
+				{'type': 'response.created', 'id': 'resp_1'},
+				{'type': 'response.output_text.delta', 'item_id': 'msg_1', 'delta': 'ok'},
+				{'type': 'response.completed', 'id': 'resp_1'},
+			]);
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const address = server.address();
+	const llm = new OpenAI({
+		'apiBase': `http://127.0.0.1:${address.port}`,
+		'model': 'gpt-5',
+		'retryDelay': 1,
+		'maxRetryDelay': 50,
+	});
+
+	try {
+		const result = await llm.chat('hello');
+		assert.equal(result.content, 'ok');
+		assert.equal(attempts, 3);
+
+		// A Retry-After beyond maxRetryDelay waits maxRetryDelay
+		const startedAt = Date.now();
+		assert.equal((await llm.chat('hello')).content, 'ok');
+		assert.equal(attempts, 5);
+		assert.ok(Date.now() - startedAt < 1000);
+	} finally {
+		server.close();
+	}
+});
+
+test('OpenAI chat rejects with typed errors carrying status and body', async () => {
+	let attempts = 0;
+	const server = http.createServer((req, res) => {
+		req.on('data', () => {});
+		req.on('end', () => {
+			attempts++;
+			const status = attempts === 1 ? 400 : 429;
+			res.writeHead(status, {'Content-Type': 'application/json'});
+			res.end(JSON.stringify({'error': {'message': 'Nope'}}));
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const address = server.address();
+	const llm = new OpenAI({
+		'apiBase': `http://127.0.0.1:${address.port}`,
+		'model': 'gpt-5',
+		'retryDelay': 1,
+	});
+
+	try {
+		await assert.rejects(llm.chat('hello'), (err) => {
+			assert.ok(err instanceof BadRequestError);
+			assert.equal(err.status, 400);
+			assert.deepEqual(err.body, {'error': {'message': 'Nope'}});
+			return true;
+		});
+		assert.equal(attempts, 1);
+
+		await assert.rejects(llm.chat('hello', {'maxRetries': 1}), RateLimitError);
+		assert.equal(attempts, 3);
+	} finally {
+		server.close();
+	}
+});
+
+test('OpenAI chat does not retry once events have streamed', async () => {
+	let attempts = 0;
+	const server = http.createServer((req, res) => {
+		req.on('data', () => {});
+		req.on('end', () => {
+			attempts++;
+			res.writeHead(200, {'Content-Type': 'text/event-stream'});
+			res.write(`data: ${JSON.stringify({'type': 'response.created', 'id': 'resp_1'})}\n\n`, () => {
+				setTimeout(() => req.socket.destroy(), 10);
+			});
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const address = server.address();
+	const llm = new OpenAI({
+		'apiBase': `http://127.0.0.1:${address.port}`,
+		'model': 'gpt-5',
+		'retryDelay': 1,
+	});
+
+	try {
+		await assert.rejects(llm.chat('hello'), ConnectionError);
+		assert.equal(attempts, 1);
+	} finally {
+		server.close();
+	}
+});
+
+test('OpenAI chat rejects and retries failures reported inside the stream', async () => {
+	let attempts = 0;
+	const server = http.createServer((req, res) => {
+		req.on('data', () => {});
+		req.on('end', () => {
+			attempts++;
+			if (attempts === 1 || attempts === 3) {
+				createSseResponse(res, [
+					{'type': 'response.created', 'id': `resp_${attempts}`},
+					{'type': 'error', 'code': 'server_error', 'message': 'The server had an error'},
+					{'type': 'response.failed', 'response': {'id': `resp_${attempts}`, 'status': 'failed', 'error': {'code': 'server_error', 'message': 'The server had an error'}}},
+				]);
+				return;
+			}
+			if (attempts === 4) {
+				createSseResponse(res, [
+					{'type': 'response.created', 'id': 'resp_4'},
+					{'type': 'response.failed', 'response': {'id': 'resp_4', 'status': 'failed', 'error': {'code': 'rate_limit_exceeded', 'message': 'Slow down'}}},
+				]);
+				return;
+			}
+			createSseResponse(res, [
+				{'type': 'response.created', 'id': 'resp_2'},
+				{'type': 'response.output_item.added', 'item': {'type': 'message', 'id': 'msg_2', 'role': 'assistant'}},
+				{'type': 'response.output_text.delta', 'item_id': 'msg_2', 'delta': 'Recovered'},
+				{'type': 'response.completed', 'id': 'resp_2'},
+			]);
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const address = server.address();
+	const llm = new OpenAI({
+		'apiBase': `http://127.0.0.1:${address.port}`,
+		'model': 'gpt-5',
+		'retryDelay': 1,
+	});
+
+	try {
+		const result = await llm.chat('hello');
+		assert.equal(result.content, 'Recovered');
+		assert.equal(attempts, 2);
+
+		await assert.rejects(llm.chat('hello', {'maxRetries': 0}), (err) => {
+			assert.ok(err instanceof ServerError);
+			assert.equal(err.status, 500);
+			assert.equal(err.body.message, 'The server had an error');
+			return true;
+		});
+		await assert.rejects(llm.chat('hello', {'maxRetries': 0}), RateLimitError);
+	} finally {
+		server.close();
+	}
+});
+
+test('OpenAI stream yields typed events and a final result', async () => {
+	let count = 0;
+	const server = http.createServer((req, res) => {
+		req.on('data', () => {});
+		req.on('end', () => {
+			count++;
+			if (count === 1) {
+				createSseResponse(res, [
+					{'type': 'response.created', 'id': 'resp_1'},
+					{
+						'type': 'response.output_item.added',
+						'item': {'type': 'function_call', 'id': 'fc_1', 'call_id': 'call_1', 'name': 'lookup', 'arguments': ''},
+					},
+					{'type': 'response.function_call_arguments.delta', 'item_id': 'call_1', 'delta': '{"q":1}'},
+					{'type': 'response.completed', 'id': 'resp_1'},
+				]);
+				return;
+			}
+			createSseResponse(res, [
+				{'type': 'response.created', 'id': 'resp_2'},
+				{'type': 'response.output_item.added', 'item': {'type': 'message', 'id': 'msg_2', 'role': 'assistant'}},
+				{'type': 'response.output_text.delta', 'item_id': 'msg_2', 'delta': 'Do'},
+				{'type': 'response.output_text.delta', 'item_id': 'msg_2', 'delta': 'ne'},
+				{'type': 'response.completed', 'id': 'resp_2'},
+			]);
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const address = server.address();
+	const llm = new OpenAI({
+		'apiBase': `http://127.0.0.1:${address.port}`,
+		'model': 'gpt-5',
+	});
+
+	try {
+		const events = [];
+		for await (const event of llm.stream('hello', {'tools': {'lookup': () => 'found'}})) {
+			events.push(event);
+		}
+		assert.deepEqual(events.map(event => event.type), [
+			'tool_call_started',
+			'tool_arguments_delta',
+			'completed',
+			'tool_result',
+			'text_delta',
+			'text_delta',
+			'completed',
+			'result',
+		]);
+		assert.equal(events[1].delta, '{"q":1}');
+		assert.equal(events[3].message.output, 'found');
+		assert.deepEqual(events.filter(event => event.type === 'text_delta').map(event => event.delta), ['Do', 'ne']);
+		assert.equal(events.at(-1).result.content, 'Done');
+		assert.equal(events.at(-1).result.lastMessageId, 'resp_2');
+	} finally {
+		server.close();
+	}
+});
+
+test('OpenAI stream aborts the chat when the consumer stops early', async () => {
+	const server = http.createServer((req, res) => {
+		req.on('data', () => {});
+		req.on('end', () => {
+			res.writeHead(200, {'Content-Type': 'text/event-stream'});
+			res.write(`data: ${JSON.stringify({'type': 'response.created', 'id': 'resp_1'})}\n\n`);
+			res.write(`data: ${JSON.stringify({'type': 'response.output_text.delta', 'item_id': 'msg_1', 'delta': 'Hi'})}\n\n`);
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const address = server.address();
+	const llm = new OpenAI({
+		'apiBase': `http://127.0.0.1:${address.port}`,
+		'model': 'gpt-5',
+	});
+	const statuses = [];
+	llm.on('update', message => statuses.push(message.status));
+
+	try {
+		for await (const event of llm.stream('hello')) {
+			assert.equal(event.type, 'text_delta');
+			break;
+		}
+		await new Promise(resolve => setImmediate(resolve));
+		assert.equal(statuses.at(-1), 'aborted');
+	} finally {
+		server.closeAllConnections();
+		server.close();
+	}
+});
+
+test('OpenAI chat reports tool arguments that fail schema validation back to the model', async () => {
+	const requests = [];
+	const server = http.createServer((req, res) => {
+		let body = '';
+		req.on('data', chunk => body += chunk);
+		req.on('end', () => {
+			requests.push(JSON.parse(body));
+			if (requests.length === 1) {
+				createSseResponse(res, [
+					{'type': 'response.created', 'id': 'resp_1'},
+					{
+						'type': 'response.output_item.added',
+						'item': {'type': 'function_call', 'id': 'fc_1', 'call_id': 'call_1', 'name': 'get_weather', 'arguments': ''},
+					},
+					{'type': 'response.function_call_arguments.done', 'item_id': 'call_1', 'arguments': '{"city":7,"units":"kelvin","extra":true}'},
+					{'type': 'response.completed', 'id': 'resp_1'},
+				]);
+				return;
+			}
+			createSseResponse(res, [
+				{'type': 'response.created', 'id': 'resp_2'},
+				{'type': 'response.output_text.delta', 'item_id': 'msg_2', 'delta': 'Sorry'},
+				{'type': 'response.completed', 'id': 'resp_2'},
+			]);
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const address = server.address();
+	const llm = new OpenAI({
+		'apiBase': `http://127.0.0.1:${address.port}`,
+		'model': 'gpt-5',
+	});
+	let called = false;
+
+	try {
+		const result = await llm.chat('weather?', {
+			'tools': {
+				'get_weather': {
+					'parameters': {
+						'type': 'object',
+						'properties': {
+							'city': {'type': 'string'},
+							'units': {'type': 'string', 'enum': ['c', 'f']},
+							'days': {'type': 'array', 'items': {'type': 'integer'}},
+						},
+						'required': ['city', 'days'],
+						'additionalProperties': false,
+					},
+					'run': () => called = true,
+				},
+			},
+		});
+
+		assert.equal(called, false);
+		assert.equal(result.content, 'Sorry');
+		assert.equal(result.messages[0].status, 'invalid');
+		assert.deepEqual(result.messages[0].validationErrors.map(error => error.path), [
+			'$.days',
+			'$.city',
+			'$.units',
+			'$.extra',
+		]);
+		assert.equal(requests[1].input[0].call_id, 'call_1');
+		assert.match(JSON.parse(requests[1].input[0].output).error, /\$\.city must be string, got number/);
+	} finally {
+		server.close();
+	}
+});
+
+test('OpenAI chat reports tool arguments that are not JSON back to the model', async () => {
+	const requests = [];
+	const server = http.createServer((req, res) => {
+		let body = '';
+		req.on('data', chunk => body += chunk);
+		req.on('end', () => {
+			requests.push(JSON.parse(body));
+			if (requests.length === 1) {
+				createSseResponse(res, [
+					{'type': 'response.created', 'id': 'resp_1'},
+					{
+						'type': 'response.output_item.added',
+						'item': {'type': 'function_call', 'id': 'fc_1', 'call_id': 'call_1', 'name': 'get_weather', 'arguments': ''},
+					},
+					{'type': 'response.function_call_arguments.done', 'item_id': 'call_1', 'arguments': '{"city":'},
+					{
+						'type': 'response.output_item.done',
+						'item': {'type': 'function_call', 'id': 'fc_1', 'call_id': 'call_1', 'name': 'get_weather', 'arguments': '{"city":'},
+					},
+					{'type': 'response.completed', 'id': 'resp_1'},
+				]);
+				return;
+			}
+			createSseResponse(res, [
+				{'type': 'response.created', 'id': 'resp_2'},
+				{'type': 'response.output_text.delta', 'item_id': 'msg_2', 'delta': 'Sorry'},
+				{'type': 'response.completed', 'id': 'resp_2'},
+			]);
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const address = server.address();
+	const llm = new OpenAI({
+		'apiBase': `http://127.0.0.1:${address.port}`,
+		'model': 'gpt-5',
+	});
+	let called = false;
+
+	try {
+		const result = await llm.chat('weather?', {
+			'tools': {
+				'get_weather': {
+					'parameters': {'type': 'object', 'properties': {'city': {'type': 'string'}}},
+					'run': () => called = true,
+				},
+			},
+			'approve': () => assert.fail('invalid calls are not sent for approval'),
+		});
+
+		assert.equal(called, false);
+		assert.equal(result.content, 'Sorry');
+		assert.equal(result.messages[0].status, 'invalid');
+		assert.equal(result.messages[0].validationErrors[0].path, '$');
+		assert.equal(requests[1].input[0].call_id, 'call_1');
+		assert.match(JSON.parse(requests[1].input[0].output).error, /^Invalid arguments: \$ is not valid JSON/);
+	} finally {
+		server.close();
+	}
+});
+
+const createToolLoopServer = (requests) => http.createServer((req, res) => {
+	let body = '';
+	req.on('data', chunk => body += chunk);
+	req.on('end', () => {
+		requests.push(JSON.parse(body));
+		const n = requests.length;
+		createSseResponse(res, [
+			{'type': 'response.created', 'id': `resp_${n}`},
+			{
+				'type': 'response.output_item.added',
+				'item': {'type': 'function_call', 'id': `fc_${n}`, 'call_id': `call_${n}`, 'name': 'flaky', 'arguments': '{}'},
+			},
+			{'type': 'response.completed', 'id': `resp_${n}`},
+		]);
+	});
+});
+
+test('OpenAI chat reports tool errors back to the model and caps tool rounds', async () => {
+	const requests = [];
+	const server = createToolLoopServer(requests);
+	await new Promise(resolve => server.listen(0, resolve));
+	const address = server.address();
+	const llm = new OpenAI({
+		'apiBase': `http://127.0.0.1:${address.port}`,
+		'model': 'gpt-5',
+	});
+
+	try {
+		await assert.rejects(llm.chat('go', {
+			'onToolError': 'report',
+			'maxToolRounds': 2,
+			'tools': {
+				'flaky': () => {
+					throw new Error('Service unavailable');
+				},
+			},
+		}), /Exceeded maxToolRounds \(2\)/);
+		assert.equal(requests.length, 3);
+		assert.deepEqual(requests[1].input, [{
+			'type': 'function_call_output',
+			'call_id': 'call_1',
+			'output': '{"error":"Service unavailable"}',
+		}]);
+	} finally {
+		server.close();
+	}
+});
+
+test('OpenAI chat formats tool errors with a per-tool onError over the per-call policy', async () => {
+	const requests = [];
+	const server = createToolLoopServer(requests);
+	await new Promise(resolve => server.listen(0, resolve));
+	const address = server.address();
+	const llm = new OpenAI({
+		'apiBase': `http://127.0.0.1:${address.port}`,
+		'model': 'gpt-5',
+	});
+	const failed = [];
+
+	try {
+		await assert.rejects(llm.chat('go', {
+			'onToolError': 'throw',
+			'maxToolRounds': 1,
+			'tools': {
+				'flaky': {
+					'onError': (err, message) => {
+						failed.push(message.status);
+						return `Try again later (${err.message})`;
+					},
+					'run': () => {
+						throw new Error('Boom');
+					},
+				},
+			},
+		}), /Exceeded maxToolRounds/);
+		assert.deepEqual(failed, ['failed']);
+		assert.equal(requests[1].input[0].output, 'Try again later (Boom)');
+	} finally {
+		server.close();
+	}
+});
+
+test('OpenAI chat runs tool calls concurrently and keeps outputs in call order', async () => {
+	const requests = [];
+	const server = http.createServer((req, res) => {
+		let body = '';
+		req.on('data', chunk => body += chunk);
+		req.on('end', () => {
+			requests.push(JSON.parse(body));
+			if (requests.length > 1) {
+				createSseResponse(res, [
+					{'type': 'response.created', 'id': 'resp_2'},
+					{'type': 'response.output_text.delta', 'item_id': 'msg_2', 'delta': 'done'},
+					{'type': 'response.completed', 'id': 'resp_2'},
+				]);
+				return;
+			}
+			createSseResponse(res, [
+				{'type': 'response.created', 'id': 'resp_1'},
+				...[30, 10, 20].flatMap((wait, i) => [{
+					'type': 'response.output_item.added',
+					'item': {'type': 'function_call', 'id': `fc_${i}`, 'call_id': `call_${i}`, 'name': 'wait', 'arguments': ''},
+				}, {
+					'type': 'response.function_call_arguments.done',
+					'item_id': `call_${i}`,
+					'arguments': JSON.stringify({wait}),
+				}]),
+				{
+					'type': 'response.output_item.added',
+					'item': {'type': 'function_call', 'id': 'fc_3', 'call_id': 'call_3', 'name': 'hang', 'arguments': '{}'},
+				},
+				{'type': 'response.completed', 'id': 'resp_1'},
+			]);
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const address = server.address();
+	const llm = new OpenAI({
+		'apiBase': `http://127.0.0.1:${address.port}`,
+		'model': 'gpt-5',
+	});
+	let running = 0;
+	let peak = 0;
+	let hangSignal;
+
+	try {
+		const result = await llm.chat('go', {
+			'toolConcurrency': 3,
+			'tools': {
+				'wait': async ({wait}) => {
+					peak = Math.max(peak, ++running);
+					await new Promise(resolve => setTimeout(resolve, wait));
+					running--;
+					return `waited ${wait}`;
+				},
+				'hang': {
+					'timeout': 20,
+					'run': (input, {signal}) => {
+						hangSignal = signal;
+						return new Promise(() => {});
+					},
+				},
+			},
+		});
+
+		assert.equal(peak, 3);
+		assert.deepEqual(requests[1].input.map(item => item.call_id), ['call_0', 'call_1', 'call_2', 'call_3']);
+		assert.deepEqual(requests[1].input.slice(0, 3).map(item => item.output), ['waited 30', 'waited 10', 'waited 20']);
+		assert.equal(requests[1].input[3].output, '{"error":"Tool timed out after 20ms"}');
+		assert.equal(result.messages[3].status, 'timed_out');
+		assert.equal(hangSignal.aborted, true);
+	} finally {
+		server.close();
+	}
+});
+
+const createApprovalServer = (requests) => http.createServer((req, res) => {
+	let body = '';
+	req.on('data', chunk => body += chunk);
+	req.on('end', () => {
+		const payload = JSON.parse(body);
+		requests.push(payload);
+		if (Array.isArray(payload.input) && payload.input.some(item => item.type === 'function_call_output')) {
+			createSseResponse(res, [
+				{'type': 'response.created', 'id': `resp_${requests.length}`},
+				{'type': 'response.output_text.delta', 'item_id': 'msg_2', 'delta': 'ok'},
+				{'type': 'response.completed', 'id': `resp_${requests.length}`},
+			]);
+			return;
+		}
+		createSseResponse(res, [
+			{'type': 'response.created', 'id': 'resp_1'},
+			{
+				'type': 'response.output_item.added',
+				'item': {'type': 'function_call', 'id': 'fc_1', 'call_id': 'call_1', 'name': 'send_email', 'arguments': ''},
+			},
+			{'type': 'response.function_call_arguments.done', 'item_id': 'call_1', 'arguments': '{"to":"a@example.com"}'},
+			{
+				'type': 'response.output_item.added',
+				'item': {'type': 'function_call', 'id': 'fc_2', 'call_id': 'call_2', 'name': 'lookup', 'arguments': ''},
+			},
+			{'type': 'response.function_call_arguments.done', 'item_id': 'call_2', 'arguments': '{}'},
+			{'type': 'response.completed', 'id': 'resp_1'},
+		]);
+	});
+});
+
+test('OpenAI chat asks approve() before running tools that require approval', async () => {
+	const requests = [];
+	const server = createApprovalServer(requests);
+	await new Promise(resolve => server.listen(0, resolve));
+	const address = server.address();
+	const llm = new OpenAI({
+		'apiBase': `http://127.0.0.1:${address.port}`,
+		'model': 'gpt-5',
+	});
+	const sent = [];
+	const asked = [];
+	const tools = {
+		'send_email': {
+			'requiresApproval': true,
+			'run': ({to}) => sent.push(to),
+		},
+		'lookup': () => 'found',
+	};
+
+	try {
+		await llm.chat('email', {
+			'tools': tools,
+			'approve': (message) => {
+				asked.push(message.name);
+				if (message.name === 'lookup') return true;
+				return {'approved': true, 'input': {'to': 'b@example.com'}};
+			},
+		});
+		assert.deepEqual(asked, ['send_email', 'lookup']);
+		assert.deepEqual(sent, ['b@example.com']);
+
+		const denied = await llm.chat('email', {
+			'tools': tools,
+			'approve': async (message) => message.name === 'lookup' || {'approved': false, 'reason': 'Not today'},
+		});
+		assert.equal(denied.messages[0].status, 'denied');
+		assert.equal(requests[3].input[0].output, '{"error":"Tool call denied: Not today"}');
+		assert.equal(requests[3].input[1].output, 'found');
+		assert.deepEqual(sent, ['b@example.com']);
+	} finally {
+		server.close();
+	}
+});
+
+test('OpenAI chat suspends for approval and resumes from pending tool calls', async () => {
+	const requests = [];
+	const server = createApprovalServer(requests);
+	await new Promise(resolve => server.listen(0, resolve));
+	const address = server.address();
+	const llm = new OpenAI({
+		'apiBase': `http://127.0.0.1:${address.port}`,
+		'model': 'gpt-5',
+	});
+	const sent = [];
+	const tools = {
+		'send_email': {
+			'requiresApproval': true,
+			'run': ({to}) => sent.push(to),
+		},
+		'lookup': () => 'found',
+	};
+
+	try {
+		const suspended = await llm.chat('email', {'tools': tools});
+		assert.equal(suspended.suspended, true);
+		assert.equal(suspended.lastMessageId, 'resp_1');
+		assert.deepEqual(suspended.pendingToolCalls.map(call => [call._id, call.status]), [
+			['call_1', 'awaiting_approval'],
+			['call_2', 'requested'],
+		]);
+		assert.equal(requests.length, 1);
+		assert.deepEqual(sent, []);
+
+		const stored = JSON.parse(JSON.stringify(suspended));
+		const result = await llm.resume(stored, {
+			'tools': tools,
+			'approvals': {'call_1': true},
+		});
+		assert.equal(result.content, 'ok');
+		assert.deepEqual(sent, ['a@example.com']);
+		assert.equal(requests[1].previous_response_id, 'resp_1');
+		assert.deepEqual(requests[1].input.map(item => item.call_id), ['call_1', 'call_2']);
+	} finally {
+		server.close();
+	}
+});
+
+test('OpenAI chat keeps approval decisions made before suspending', async () => {
+	const requests = [];
+	const server = createApprovalServer(requests);
+	await new Promise(resolve => server.listen(0, resolve));
+	const address = server.address();
+	const llm = new OpenAI({
+		'apiBase': `http://127.0.0.1:${address.port}`,
+		'model': 'gpt-5',
+	});
+	const sent = [];
+	const tools = {
+		'send_email': {
+			'requiresApproval': true,
+			'run': ({to}) => sent.push(to),
+		},
+		'lookup': {
+			'requiresApproval': true,
+			'run': () => 'found',
+		},
+	};
+
+	try {
+		const edited = await llm.chat('email', {
+			'tools': tools,
+			'approve': (message) => message.name === 'send_email' ? {'approved': true, 'input': {'to': 'b@example.com'}} : null,
+		});
+		assert.equal(edited.suspended, true);
+		assert.deepEqual(edited.pendingToolCalls[0].approval, {'approved': true});
+		const result = await llm.resume(JSON.parse(JSON.stringify(edited)), {
+			'tools': tools,
+			'approvals': {'call_2': true},
+			'approve': () => assert.fail('decided calls are not asked again'),
+		});
+		assert.equal(result.content, 'ok');
+		assert.deepEqual(sent, ['b@example.com']);
+		assert.equal(requests[1].input[1].output, 'found');
+
+		const denied = await llm.chat('email', {
+			'tools': tools,
+			'approve': (message) => message.name === 'send_email' ? {'approved': false, 'reason': 'Not today'} : undefined,
+		});
+		assert.deepEqual(denied.pendingToolCalls[0].approval, {'approved': false, 'reason': 'Not today'});
+		const resumed = await llm.resume(JSON.parse(JSON.stringify(denied)), {
+			'tools': tools,
+			'approvals': {'call_2': true},
+		});
+		assert.equal(resumed.messages[0].status, 'denied');
+		assert.equal(requests[3].input[0].output, '{"error":"Tool call denied: Not today"}');
+		assert.equal(requests[3].input[1].output, 'found');
+		assert.deepEqual(sent, ['b@example.com']);
+	} finally {
+		server.close();
+	}
+});
+
+test('OpenAI chat resumes pending tool calls into a Conversation', async () => {
+	const requests = [];
+	const server = createApprovalServer(requests);
+	await new Promise(resolve => server.listen(0, resolve));
+	const address = server.address();
+	const llm = new OpenAI({
+		'apiBase': `http://127.0.0.1:${address.port}`,
+		'model': 'gpt-5',
+	});
+	const conversation = new Conversation();
+	const tools = {
+		'send_email': {
+			'requiresApproval': true,
+			'run': () => 'sent',
+		},
+		'lookup': () => 'found',
+	};
+
+	try {
+		const suspended = await llm.chat('email', {conversation, tools, 'store': false});
+		assert.equal(suspended.suspended, true);
+
+		const result = await llm.resume(suspended, {conversation, tools, 'store': false, 'approvals': {'call_1': false}});
+		assert.equal(result.content, 'ok');
+		assert.equal(requests[1].previous_response_id, undefined);
+		assert.deepEqual(requests[1].input.map(item => item.type || item.role), [
+			'user',
+			'function_call',
+			'function_call',
+			'function_call_output',
+			'function_call_output',
+		]);
+		assert.equal(conversation.items.at(-1).role, 'assistant');
+	} finally {
+		server.close();
+	}
+});
+
+test('OpenAI chat aggregates token usage and cost across tool rounds', async () => {
+	let count = 0;
+	const usage = {
+		'input_tokens': 1000,
+		'input_tokens_details': {'cached_tokens': 400},
+		'output_tokens': 200,
+		'output_tokens_details': {'reasoning_tokens': 50},
+		'total_tokens': 1200,
+	};
+	const server = http.createServer((req, res) => {
+		req.on('data', () => {});
+		req.on('end', () => {
+			count++;
+			createSseResponse(res, [
+				{'type': 'response.created', 'response': {'id': `resp_${count}`}},
+				count === 1
+					? {'type': 'response.output_item.added', 'item': {'type': 'function_call', 'id': 'fc_1', 'call_id': 'call_1', 'name': 'noop', 'arguments': '{}'}}
+					: {'type': 'response.output_text.delta', 'item_id': 'msg_2', 'delta': 'done'},
+				{'type': 'response.completed', 'response': {'id': `resp_${count}`, usage}},
+			]);
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const address = server.address();
+	const llm = new OpenAI({
+		'apiBase': `http://127.0.0.1:${address.port}`,
+		'model': 'gpt-5',
+		'prices': {'gpt-5': {'input': 1, 'cachedInput': 0.5, 'output': 10}},
+	});
+	const emitted = [];
+	llm.on('usage', event => emitted.push(event));
+
+	try {
+		const result = await llm.chat('go', {'tools': {'noop': () => 'ok'}});
+		assert.deepEqual(result.usage, {
+			'inputTokens': 2000,
+			'cachedInputTokens': 800,
+			'outputTokens': 400,
+			'reasoningTokens': 100,
+			'totalTokens': 2400,
+			'cost': 0.0056,
+		});
+		assert.equal(emitted.length, 2);
+		assert.equal(emitted[0].cost, 0.0028);
+
+		await llm.chat('again', {'tools': {'noop': () => 'ok'}});
+		assert.equal(llm.usage.inputTokens, 3000);
+		assert.equal(llm.usage.reasoningTokens, 150);
+	} finally {
+		server.close();
+	}
+});
+
+test('OpenAI chat enforces a JSON schema and repairs invalid output once', async () => {
+	const requests = [];
+	const replies = ['{"name":"Ada","age":"36"}', '{"name":"Ada","age":36}'];
+	const server = http.createServer((req, res) => {
+		let body = '';
+		req.on('data', chunk => body += chunk);
+		req.on('end', () => {
+			requests.push(JSON.parse(body));
+			const n = requests.length;
+			createSseResponse(res, [
+				{'type': 'response.created', 'id': `resp_${n}`},
+				{'type': 'response.output_item.added', 'item': {'type': 'message', 'id': `msg_${n}`, 'role': 'assistant'}},
+				{'type': 'response.output_text.delta', 'item_id': `msg_${n}`, 'delta': replies[(n - 1) % 2]},
+				{'type': 'response.completed', 'id': `resp_${n}`},
+			]);
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const address = server.address();
+	const llm = new OpenAI({
+		'apiBase': `http://127.0.0.1:${address.port}`,
+		'model': 'gpt-5',
+	});
+	const schema = {
+		'type': 'object',
+		'properties': {'name': {'type': 'string'}, 'age': {'type': 'integer'}},
+		'required': ['name', 'age'],
+		'additionalProperties': false,
+	};
+
+	try {
+		const result = await llm.chat('Who?', {schema, 'schemaName': 'person', 'repair': true});
+		assert.deepEqual(result.content, {'name': 'Ada', 'age': 36});
+		assert.deepEqual(requests[0].text, {
+			'format': {'type': 'json_schema', 'name': 'person', 'schema': schema, 'strict': true},
+		});
+		assert.equal(requests[1].previous_response_id, 'resp_1');
+		assert.match(requests[1].input, /\$\.age must be integer, got string/);
+		assert.equal(result.messages.length, 2);
+
+		await assert.rejects(llm.chat('Who?', {schema}), (err) => {
+			assert.ok(err instanceof OutputValidationError);
+			assert.equal(err.text, '{"name":"Ada","age":"36"}');
+			assert.deepEqual(err.errors.map(error => error.path), ['$.age']);
+			return true;
+		});
+	} finally {
+		server.close();
+	}
+});
+
+test('OpenAI chat parses nested, typed XML and exposes partial tags while streaming', async () => {
+	const deltas = [
+		'<reasoning>Population data</reasoning>\n<answer confidence="high">',
+		'<city>Paris</city><population>2.1</population>',
+		'<tags>\n- capital\n- europe\n</tags></answer><final>yes</final>',
+	];
+	const server = http.createServer((req, res) => {
+		req.on('data', () => {});
+		req.on('end', () => {
+			createSseResponse(res, [
+				{'type': 'response.created', 'id': 'resp_1'},
+				{'type': 'response.output_item.added', 'item': {'type': 'message', 'id': 'msg_1', 'role': 'assistant'}},
+				...deltas.map(delta => ({'type': 'response.output_text.delta', 'item_id': 'msg_1', delta})),
+				{'type': 'response.completed', 'id': 'resp_1'},
+			]);
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const address = server.address();
+	const llm = new OpenAI({
+		'apiBase': `http://127.0.0.1:${address.port}`,
+		'model': 'gpt-5',
+	});
+	const partials = [];
+	llm.on('update', message => partials.push(structuredClone(message.parsed)));
+
+	try {
+		const result = await llm.chat('Capital of France?', {
+			'xml': {
+				'reasoning': 'string',
+				'answer': 'object',
+				'population': 'number',
+				'tags': 'list',
+				'final': 'boolean',
+			},
+		});
+
+		assert.deepEqual(partials[0], {
+			'reasoning': 'Population data',
+			'answer': {'confidence': 'high'},
+		});
+		assert.deepEqual(partials[1].answer, {'confidence': 'high', 'city': 'Paris', 'population': 2.1});
+		assert.deepEqual(result.content, {
+			'reasoning': 'Population data',
+			'answer': {'confidence': 'high', 'city': 'Paris', 'population': 2.1, 'tags': ['capital', 'europe']},
+			'final': true,
+		});
+	} finally {
+		server.close();
+	}
+});
+
+test('OpenAI chat keeps the declared casing of XML tags and attributes as written', async () => {
+	const server = http.createServer((req, res) => {
+		req.on('data', () => {});
+		req.on('end', () => {
+			createSseResponse(res, [
+				{'type': 'response.created', 'id': 'resp_1'},
+				{'type': 'response.output_item.added', 'item': {'type': 'message', 'id': 'msg_1', 'role': 'assistant'}},
+				{
+					'type': 'response.output_text.delta',
+					'item_id': 'msg_1',
+					'delta': '<FinalAnswer sourceUrl="https://example.com"><cityName>Paris</CITYNAME><zipCode>75001</zipCode></finalanswer><SCORE>9</score>',
+				},
+				{'type': 'response.completed', 'id': 'resp_1'},
+			]);
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const llm = new OpenAI({
+		'apiBase': `http://127.0.0.1:${server.address().port}`,
+		'model': 'gpt-5',
+	});
+
+	try {
+		const result = await llm.chat('Capital of France?', {
+			'xml': {'finalAnswer': 'object', 'cityName': 'string', 'score': 'number'},
+		});
+		assert.deepEqual(result.content, {
+			'finalAnswer': {'sourceUrl': 'https://example.com', 'cityName': 'Paris', 'zipCode': '75001'},
+			'score': 9,
+		});
+	} finally {
+		server.close();
+	}
+});
+
+test('OpenAI chat replays a client-managed Conversation as explicit input', async () => {
+	const requests = [];
+	const server = http.createServer((req, res) => {
+		let body = '';
+		req.on('data', chunk => body += chunk);
+		req.on('end', () => {
+			const payload = JSON.parse(body);
+			requests.push(payload);
+			const n = requests.length;
+			if (n === 1) {
+				createSseResponse(res, [
+					{'type': 'response.created', 'id': 'resp_1'},
+					{'type': 'response.output_item.added', 'item': {'type': 'function_call', 'id': 'fc_1', 'call_id': 'call_1', 'name': 'lookup', 'arguments': ''}},
+					{'type': 'response.function_call_arguments.done', 'item_id': 'call_1', 'arguments': '{"q":"x"}'},
+					{'type': 'response.completed', 'id': 'resp_1'},
+				]);
+				return;
+			}
+			createSseResponse(res, [
+				{'type': 'response.created', 'id': `resp_${n}`},
+				{'type': 'response.output_item.added', 'item': {'type': 'message', 'id': `msg_${n}`, 'role': 'assistant'}},
+				{'type': 'response.output_text.delta', 'item_id': `msg_${n}`, 'delta': `reply-${n}`},
+				{'type': 'response.completed', 'id': `resp_${n}`},
+			]);
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const address = server.address();
+	const llm = new OpenAI({
+		'apiBase': `http://127.0.0.1:${address.port}`,
+		'model': 'gpt-5',
+	});
+	const conversation = new Conversation();
+
+	try {
+		await llm.chat('hello', {conversation, 'store': false, 'tools': {'lookup': () => 'found'}});
+		const turn = [
+			{'role': 'user', 'content': 'hello'},
+			{'type': 'function_call', 'call_id': 'call_1', 'name': 'lookup', 'arguments': '{"q":"x"}'},
+			{'type': 'function_call_output', 'call_id': 'call_1', 'output': 'found'},
+			{'role': 'assistant', 'content': 'reply-2'},
+		];
+		assert.deepEqual(conversation.items, turn);
+		assert.deepEqual(requests[1].input, turn.slice(0, 3));
+		assert.equal(requests[1].store, false);
+		assert.ok(!('previous_response_id' in requests[1]));
+
+		const restored = Conversation.fromJSON(JSON.stringify(conversation));
+		const branch = restored.fork(1);
+		await llm.chat('follow up', {'conversation': restored});
+		assert.deepEqual(requests[2].input, [...turn, {'role': 'user', 'content': 'follow up'}]);
+		assert.equal(restored.items.length, 6);
+
+		await llm.chat('other path', {'conversation': branch});
+		assert.deepEqual(requests[3].input, [{'role': 'user', 'content': 'hello'}, {'role': 'user', 'content': 'other path'}]);
+		assert.equal(conversation.items.length, 4);
+	} finally {
+		server.close();
+	}
+});
+
+test('OpenAI chat trims or summarizes a Conversation with a context strategy', async () => {
+	const requests = [];
+	const server = http.createServer((req, res) => {
+		let body = '';
+		req.on('data', chunk => body += chunk);
+		req.on('end', () => {
+			const payload = JSON.parse(body);
+			requests.push(payload);
+			const n = requests.length;
+			const text = payload.instructions?.startsWith('Summarize') ? 'they looked up x' : `reply-${n}`;
+			createSseResponse(res, [
+				{'type': 'response.created', 'id': `resp_${n}`},
+				{'type': 'response.output_item.added', 'item': {'type': 'message', 'id': `msg_${n}`, 'role': 'assistant'}},
+				{'type': 'response.output_text.delta', 'item_id': `msg_${n}`, 'delta': text},
+				{'type': 'response.completed', 'id': `resp_${n}`},
+			]);
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const address = server.address();
+	const llm = new OpenAI({
+		'apiBase': `http://127.0.0.1:${address.port}`,
+		'model': 'gpt-5',
+	});
+	const older = [
+		{'role': 'user', 'content': 'look up x'},
+		{'type': 'function_call', 'call_id': 'call_1', 'name': 'lookup', 'arguments': '{"q":"x"}'},
+		{'type': 'function_call_output', 'call_id': 'call_1', 'output': 'x'.repeat(2000)},
+		{'role': 'assistant', 'content': 'done'},
+	];
+	const trims = [];
+	llm.on('context', trimmed => trims.push(trimmed));
+
+	try {
+		const conversation = new Conversation(older);
+		const events = [];
+		await llm.chat('next', {
+			conversation,
+			'context': trimToTokens({'maxTokens': 200}),
+			'onEvent': event => events.push(event),
+		});
+		assert.deepEqual(requests[0].input, [
+			...older.slice(0, 2),
+			{'type': 'function_call_output', 'call_id': 'call_1', 'output': '[Tool output removed to save context]'},
+			older[3],
+			{'role': 'user', 'content': 'next'},
+		]);
+		assert.equal(conversation.items[2].output.length, 2000);
+		assert.equal(trims.length, 1);
+		assert.deepEqual(trims[0].removed, [older[2]]);
+		assert.ok(trims[0].tokensAfter < trims[0].tokensBefore);
+		assert.equal(events.find(event => event.type === 'context_trimmed').tokensAfter, trims[0].tokensAfter);
+
+		const summarize = summarizeOlderTurns({'maxTokens': 200, 'keepTurns': 1});
+		await llm.chat('again', {'conversation': new Conversation(older), 'context': summarize});
+		assert.match(requests[1].input, /Tool call lookup\(\{"q":"x"\}\)/);
+		assert.deepEqual(requests[2].input, [
+			{'role': 'user', 'content': 'Summary of the earlier conversation:\nthey looked up x'},
+			{'role': 'user', 'content': 'again'},
+		]);
+		assert.equal(requests.length, 3);
+
+		await assert.rejects(llm.chat('hi', {'context': summarize}), /context requires a conversation/);
+	} finally {
+		server.close();
+	}
+});
+
+test('OpenAI chat sends images, files and content arrays as input parts', async () => {
+	const requests = [];
+	const server = http.createServer((req, res) => {
+		let body = '';
+		req.on('data', chunk => body += chunk);
+		req.on('end', () => {
+			requests.push(JSON.parse(body));
+			createSseResponse(res, [
+				{'type': 'response.created', 'id': 'resp_1'},
+				{'type': 'response.completed', 'id': 'resp_1'},
+			]);
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const address = server.address();
+	const llm = new OpenAI({
+		'apiBase': `http://127.0.0.1:${address.port}`,
+		'model': 'gpt-5',
+	});
+	const dir = await mkdtemp(path.join(os.tmpdir(), 'poon-llm-'));
+	const png = Buffer.from('89504e470d0a1a0a', 'hex');
+	const pdf = Buffer.from('%PDF-1.7');
+
+	try {
+		await writeFile(path.join(dir, 'page1.jpg'), 'jpeg');
+		await writeFile(path.join(dir, 'report.pdf'), pdf);
+		await llm.chat('compare', {
+			'imageUrl': 'https://example.com/a.png',
+			'images': [path.join(dir, 'page1.jpg'), {'data': png, 'detail': 'low'}],
+			'files': [path.join(dir, 'report.pdf'), pdf, {'fileId': 'file_1'}],
+			'imageDetail': 'high',
+		});
+		assert.deepEqual(requests[0].input, [{
+			'role': 'user',
+			'content': [
+				{'type': 'input_text', 'text': 'compare'},
+				{'type': 'input_image', 'image_url': 'https://example.com/a.png', 'detail': 'high'},
+				{'type': 'input_image', 'image_url': `data:image/jpeg;base64,${Buffer.from('jpeg').toString('base64')}`, 'detail': 'high'},
+				{'type': 'input_image', 'image_url': `data:image/png;base64,${png.toString('base64')}`, 'detail': 'low'},
+				{'type': 'input_file', 'filename': 'report.pdf', 'file_data': `data:application/pdf;base64,${pdf.toString('base64')}`},
+				{'type': 'input_file', 'filename': 'file.pdf', 'file_data': `data:application/pdf;base64,${pdf.toString('base64')}`},
+				{'type': 'input_file', 'file_id': 'file_1'},
+			],
+		}]);
+
+		const content = [{'type': 'input_text', 'text': 'describe'}, {'type': 'input_image', 'file_id': 'file_2'}];
+		await llm.chat(content);
+		assert.deepEqual(requests[1].input, [{'role': 'user', 'content': content}]);
+
+		await assert.rejects(llm.chat('what is this?', {'images': [Buffer.from('??')]}), /pass mimeType/);
+		await assert.rejects(llm.chat('what is this?', {'images': [pdf]}), /Unsupported image type: application\/pdf/);
+		assert.equal(requests.length, 2);
+	} finally {
+		server.close();
+		await rm(dir, {'recursive': true});
+	}
+});
+
+test('OpenAI chat renders registered templates and records their version', async () => {
+	const requests = [];
+	const server = http.createServer((req, res) => {
+		let body = '';
+		req.on('data', chunk => body += chunk);
+		req.on('end', () => {
+			requests.push(JSON.parse(body));
+			createSseResponse(res, [
+				{'type': 'response.created', 'id': 'resp_1'},
+				{'type': 'response.output_item.added', 'item': {'type': 'message', 'id': 'msg_1', 'role': 'assistant'}},
+				{'type': 'response.output_text.delta', 'item_id': 'msg_1', 'delta': 'ok'},
+				{'type': 'response.completed', 'id': 'resp_1'},
+			]);
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const address = server.address();
+	const llm = new OpenAI({
+		'apiBase': `http://127.0.0.1:${address.port}`,
+		'model': 'gpt-5',
+		'partials': {'tone': 'Be brief with {{customer.name}}.'},
+		'templates': {
+			'support': {
+				'version': 3,
+				'systemPrompt': 'You help {{company}} customers. {{> tone}}',
+				'prompt': 'Order <{{order}}>:{{#items}} {{name}}{{/items}}',
+			},
+		},
+	});
+	llm.addTemplate('reply', {'systemPrompt': 'Answer in {{language}}.'});
+
+	try {
+		const result = await llm.chat(null, {
+			'template': 'support',
+			'variables': {'company': 'Acme', 'customer': {'name': 'Sam'}, 'order': 'A&1', 'items': [{'name': 'bolt'}, {'name': 'nut'}]},
+		});
+		assert.equal(requests[0].instructions, 'You help Acme customers. Be brief with Sam.');
+		assert.equal(requests[0].input, 'Order <A&1>: bolt nut');
+		assert.deepEqual(result.template, {'name': 'support', 'version': 3});
+
+		const reply = await llm.chat('Hola', {'template': 'reply', 'variables': {'language': 'Spanish'}});
+		assert.equal(requests[1].instructions, 'Answer in Spanish.');
+		assert.equal(requests[1].input, 'Hola');
+		assert.deepEqual(reply.template, {'name': 'reply', 'version': null});
+		assert.ok(!('template' in await llm.chat('plain')));
+
+		await assert.rejects(
+			llm.chat(null, {'template': 'support', 'variables': {'company': 'Acme', 'items': []}}),
+			/Template "support" is missing variables: order$/,
+		);
+		await assert.rejects(llm.chat('hi', {'template': 'support'}), /Choose either a prompt or template "support"/);
+		await assert.rejects(llm.chat('hi', {'template': 'missing'}), /Unknown template: missing/);
+		assert.throws(() => llm.addTemplate('bad', {'prompt': '{{#open}}'}), /Unclosed section/);
+
+		llm.addTemplate('plan', {'prompt': 'Plan: {{^vip}}standard{{/vip}}'});
+		await llm.chat(null, {'template': 'plan'});
+		assert.equal(requests[3].input, 'Plan: standard');
+		llm.addTemplate('lines', {'prompt': '{{#items}}{{> line}}{{/items}}'});
+		await assert.rejects(llm.chat(null, {'template': 'lines', 'variables': {'items': []}}), /Unknown partial: line/);
+		assert.equal(requests.length, 4);
+	} finally {
+		server.close();
+	}
+});
+
+test('OpenAI chat replays cached rounds without calling the API', async () => {
+	const requests = [];
+	const server = http.createServer((req, res) => {
+		let body = '';
+		req.on('data', chunk => body += chunk);
+		req.on('end', () => {
+			const payload = JSON.parse(body);
+			requests.push(payload);
+			const n = requests.length;
+			createSseResponse(res, [
+				{'type': 'response.created', 'id': `resp_${n}`},
+				{'type': 'response.output_item.added', 'item': {'type': 'message', 'id': `msg_${n}`, 'role': 'assistant'}},
+				{'type': 'response.output_text.delta', 'item_id': `msg_${n}`, 'delta': `reply-${n}`},
+				{'type': 'response.completed', 'response': {'id': `resp_${n}`, 'usage': {'input_tokens': 10, 'output_tokens': 2, 'total_tokens': 12}}},
+			]);
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const address = server.address();
+	const cache = new MemoryCache({'maxEntries': 2});
+	const llm = new OpenAI({
+		'apiBase': `http://127.0.0.1:${address.port}`,
+		'model': 'gpt-5',
+		'cache': cache,
+	});
+	const dir = await mkdtemp(path.join(os.tmpdir(), 'poon-llm-'));
+
+	try {
+		const first = await llm.chat('hello', {'temperature': 0, 'systemPrompt': 'Be nice'});
+		assert.equal(first.cached, false);
+
+		const updates = [];
+		const second = await llm.chat('hello', {'systemPrompt': 'Be nice', 'temperature': 0, 'onUpdate': message => updates.push(message.content)});
+		assert.equal(requests.length, 1);
+		assert.equal(second.cached, true);
+		assert.equal(second.content, 'reply-1');
+		assert.equal(second.lastMessageId, 'resp_1');
+		assert.equal(second.usage.totalTokens, 0);
+		assert.equal(llm.usage.totalTokens, 12);
+		assert.equal(updates.at(-1), 'reply-1');
+
+		await llm.chat('hello', {'temperature': 1, 'systemPrompt': 'Be nice'});
+		await llm.chat('hello', {'cache': false, 'temperature': 0, 'systemPrompt': 'Be nice'});
+		assert.equal(requests.length, 3);
+		await llm.chat('other');
+		assert.equal(cache.entries.size, 2);
+		await llm.chat('hello', {'temperature': 0, 'systemPrompt': 'Be nice'});
+		assert.equal(requests.length, 5);
+
+		const files = new FileCache({'dir': path.join(dir, 'cache')});
+		await llm.chat('saved', {'cache': files, 'lastMessageId': 'resp_1'});
+		const restored = await new OpenAI({
+			'apiBase': 'http://127.0.0.1:1',
+			'model': 'gpt-5',
+			'cache': new FileCache({'dir': path.join(dir, 'cache')}),
+		}).chat('saved', {'lastMessageId': 'resp_1'});
+		assert.equal(restored.content, 'reply-6');
+		assert.equal(restored.cached, true);
+		assert.equal(requests[5].previous_response_id, 'resp_1');
+	} finally {
+		server.close();
+		await rm(dir, {'recursive': true});
+	}
+});
+
+test('OpenAI chat caches only rounds that completed', async () => {
+	const requests = [];
+	const server = http.createServer((req, res) => {
+		let body = '';
+		req.on('data', chunk => body += chunk);
+		req.on('end', () => {
+			const payload = JSON.parse(body);
+			requests.push(payload);
+			const events = [
+				{'type': 'response.created', 'id': 'resp_1'},
+				{'type': 'response.output_text.delta', 'item_id': 'msg_1', 'delta': 'partial'},
+			];
+			if (payload.input === 'failed') events.push({'type': 'response.failed', 'response': {'id': 'resp_1', 'error': {'code': 'server_error', 'message': 'boom'}}});
+			createSseResponse(res, events);
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const cache = new MemoryCache();
+	const llm = new OpenAI({
+		'apiBase': `http://127.0.0.1:${server.address().port}`,
+		'model': 'gpt-5',
+		'cache': cache,
+		'maxRetries': 0,
+	});
+
+	try {
+		assert.equal((await llm.chat('cut')).content, 'partial');
+		assert.equal((await llm.chat('cut')).cached, false);
+		await assert.rejects(llm.chat('failed'), ServerError);
+		await assert.rejects(llm.chat('failed'), ServerError);
+		assert.equal(requests.length, 4);
+		assert.equal(cache.entries.size, 0);
+	} finally {
+		server.close();
+	}
+});
+
+test('OpenAI chat reports lifecycle hooks, redacted logs and spans', async () => {
+	let calls = 0;
+	const server = http.createServer((req, res) => {
+		req.on('data', () => {});
+		req.on('end', () => {
+			calls++;
+			if (calls === 1) {
+				res.writeHead(500, {'Content-Type': 'application/json'});
+				res.end(JSON.stringify({'error': {'message': 'boom'}}));
+				return;
+			}
+			if (calls === 2) {
+				createSseResponse(res, [
+					{'type': 'response.created', 'id': 'resp_1'},
+					{'type': 'response.output_item.added', 'item': {'type': 'function_call', 'call_id': 'call_1', 'name': 'login', 'arguments': ''}},
+					{'type': 'response.function_call_arguments.done', 'item_id': 'call_1', 'arguments': '{"user":"ada","password":"hunter2"}'},
+					{'type': 'response.completed', 'response': {'id': 'resp_1', 'usage': {'input_tokens': 5, 'output_tokens': 1, 'total_tokens': 6}}},
+				]);
+				return;
+			}
+			createSseResponse(res, [
+				{'type': 'response.created', 'id': 'resp_2'},
+				{'type': 'response.output_item.added', 'item': {'type': 'message', 'id': 'msg_2', 'role': 'assistant'}},
+				{'type': 'response.output_text.delta', 'item_id': 'msg_2', 'delta': 'Logged in'},
+				{'type': 'response.completed', 'id': 'resp_2'},
+			]);
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const address = server.address();
+	const lifecycle = [];
+	const logs = [];
+	const spans = [];
+	const tracer = {
+		'startSpan': (name, {attributes, parent}) => {
+			const span = {name, attributes, parent, 'status': null, 'ended': false};
+			span.setAttributes = (values) => Object.assign(span.attributes, values);
+			span.setStatus = (status) => span.status = status;
+			span.end = () => span.ended = true;
+			spans.push(span);
+			return span;
+		},
+	};
+	const llm = new OpenAI({
+		'apiBase': `http://127.0.0.1:${address.port}`,
+		'model': 'gpt-5',
+		'retryDelay': 1,
+		'redact': 'content',
+		'logger': {'debug': (...args) => logs.push(['debug', ...args]), 'warn': (...args) => logs.push(['warn', ...args])},
+		'tracer': tracer,
+		'hooks': {
+			'beforeRequest': (info) => lifecycle.push(['beforeRequest', info.round, info.attempt, info.payload.input]),
+			'onStreamEvent': (info) => {
+				if (info.event.type === 'response.output_text.delta') lifecycle.push(['onStreamEvent', info.event.delta, info.elapsed >= 0]);
+			},
+			'afterRound': (info) => lifecycle.push(['afterRound', info.round, info.toolCalls, info.usage?.totalTokens ?? null, info.duration >= info.timeToFirstEvent]),
+			'onError': (info) => lifecycle.push(['onError', info.round, info.error.status, info.willRetry]),
+		},
+	});
+
+	try {
+		const result = await llm.chat('log me in', {'tools': {'login': () => 'ok'}});
+		assert.equal(result.content, 'Logged in');
+		assert.deepEqual(lifecycle, [
+			['beforeRequest', 1, 0, '[REDACTED]'],
+			['onError', 1, 500, true],
+			['beforeRequest', 1, 1, '[REDACTED]'],
+			['afterRound', 1, 1, 6, true],
+			['beforeRequest', 2, 0, [{'type': 'function_call_output', 'call_id': 'call_1', 'output': '[REDACTED]'}]],
+			['onStreamEvent', '[REDACTED]', true],
+			['afterRound', 2, 0, null, true],
+		]);
+
+		assert.ok(logs.some(([level, label]) => level === 'warn' && label === '[LLM Retry]'));
+		const logged = JSON.stringify(logs);
+		assert.ok(!logged.includes('hunter2'));
+		assert.ok(!logged.includes('log me in'));
+		assert.ok(!logged.includes('Logged in'));
+
+		assert.deepEqual(spans.map(span => [span.name, span.status.code, span.ended]), [['llm.chat', 1, true], ['llm.tool', 1, true]]);
+		const [chat, tool] = spans;
+		assert.equal(tool.parent, chat);
+		assert.equal(tool.attributes['llm.tool.status'], 'completed');
+		assert.equal(chat.attributes['llm.response_id'], 'resp_2');
+		assert.equal(chat.attributes['llm.usage.input_tokens'], 5);
+	} finally {
+		server.close();
+	}
+});
+
+test('OpenAI chat surfaces hosted tool calls and forwards tool_choice', async () => {
+	const requests = [];
+	const server = http.createServer((req, res) => {
+		let body = '';
+		req.on('data', chunk => body += chunk);
+		req.on('end', () => {
+			requests.push(JSON.parse(body));
+			createSseResponse(res, [
+				{'type': 'response.created', 'id': 'resp_1'},
+				{'type': 'response.output_item.added', 'item': {'type': 'web_search_call', 'id': 'ws_1', 'status': 'in_progress'}},
+				{'type': 'response.web_search_call.searching', 'item_id': 'ws_1'},
+				{'type': 'response.output_item.done', 'item': {'type': 'web_search_call', 'id': 'ws_1', 'status': 'completed', 'action': {'type': 'search', 'query': 'boston weather'}}},
+				{'type': 'response.output_item.added', 'item': {'type': 'code_interpreter_call', 'id': 'ci_1', 'status': 'in_progress'}},
+				{'type': 'response.code_interpreter_call_code.delta', 'item_id': 'ci_1', 'delta': 'print(1 + 1)'},
+				{'type': 'response.output_item.done', 'item': {'type': 'code_interpreter_call', 'id': 'ci_1', 'status': 'completed', 'code': 'print(1 + 1)', 'outputs': [{'type': 'logs', 'logs': '2'}]}},
+				{'type': 'response.output_item.done', 'item': {'type': 'mcp_call', 'id': 'mcp_1', 'name': 'roll', 'server_label': 'dice', 'arguments': '{"sides":6}', 'error': 'server down'}},
+				{'type': 'response.output_item.added', 'item': {'type': 'message', 'id': 'msg_1', 'role': 'assistant'}},
+				{'type': 'response.output_text.delta', 'item_id': 'msg_1', 'delta': 'Sunny, 2'},
+				{'type': 'response.completed', 'id': 'resp_1'},
+			]);
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const address = server.address();
+	const llm = new OpenAI({
+		'apiBase': `http://127.0.0.1:${address.port}`,
+		'model': 'gpt-5',
+	});
+	const statuses = [];
+	llm.on('update', message => {
+		if (message._id === 'ws_1') statuses.push(message.status);
+	});
+	const hostedTools = [
+		{'type': 'web_search'},
+		{'type': 'code_interpreter', 'container': {'type': 'auto'}},
+		{'type': 'mcp', 'server_label': 'dice', 'server_url': 'https://dice.example.com/mcp', 'require_approval': 'never'},
+	];
+
+	try {
+		const conversation = new Conversation();
+		const result = await llm.chat('weather?', {
+			conversation,
+			hostedTools,
+			'tools': {'local': () => 'x'},
+			'toolChoice': 'required',
+			'parallelToolCalls': false,
+			'updateInterval': 0,
+		});
+		assert.deepEqual(requests[0].tools.map(tool => tool.type), ['function', 'web_search', 'code_interpreter', 'mcp']);
+		assert.equal(requests[0].tool_choice, 'required');
+		assert.equal(requests[0].parallel_tool_calls, false);
+		assert.equal(requests.length, 1);
+
+		assert.equal(result.content, 'Sunny, 2');
+		assert.deepEqual(result.messages.map(message => [message.type, message.name, message.status]), [
+			['hosted_tool_call', 'web_search', 'completed'],
+			['hosted_tool_call', 'code_interpreter', 'completed'],
+			['hosted_tool_call', 'roll', 'failed'],
+			['message', undefined, 'completed'],
+		]);
+		assert.deepEqual(result.messages[0].input, {'type': 'search', 'query': 'boston weather'});
+		assert.deepEqual(result.messages[1].output, [{'type': 'logs', 'logs': '2'}]);
+		assert.equal(result.messages[1].arguments, 'print(1 + 1)');
+		assert.deepEqual(result.messages[2].input, {'sides': 6});
+		assert.equal(result.messages[2].server, 'dice');
+		assert.ok(statuses.includes('searching'));
+		assert.deepEqual(conversation.items, [{'role': 'user', 'content': 'weather?'}, {'role': 'assistant', 'content': 'Sunny, 2'}]);
+
+		await assert.rejects(llm.chat('hi', {'toolChoice': 'always'}), /toolChoice must be/);
+		const local = new OpenAI({'provider': 'chat-completions', 'model': 'llama'});
+		await assert.rejects(local.chat('hi', {hostedTools}), /hostedTools are not supported by the chat-completions provider/);
+	} finally {
+		server.close();
+	}
+});
+
+test('OpenAI chat streams reasoning summaries and passes encrypted reasoning back', async () => {
+	const requests = [];
+	const server = http.createServer((req, res) => {
+		let body = '';
+		req.on('data', chunk => body += chunk);
+		req.on('end', () => {
+			const payload = JSON.parse(body);
+			requests.push(payload);
+			if (!Array.isArray(payload.input) || !payload.input.some(item => item.type === 'function_call_output')) {
+				const reasoning = {'type': 'reasoning', 'id': 'rs_1', 'summary': [], 'encrypted_content': 'gAAA'};
+				createSseResponse(res, [
+					{'type': 'response.created', 'id': 'resp_1'},
+					{'type': 'response.output_item.added', 'item': reasoning},
+					{'type': 'response.reasoning_summary_text.delta', 'item_id': 'rs_1', 'summary_index': 0, 'delta': 'Need the '},
+					{'type': 'response.reasoning_summary_text.delta', 'item_id': 'rs_1', 'summary_index': 0, 'delta': 'forecast.'},
+					{'type': 'response.reasoning_summary_text.delta', 'item_id': 'rs_1', 'summary_index': 1, 'delta': 'Then answer.'},
+					{'type': 'response.output_item.done', 'item': {...reasoning, 'summary': [
+						{'type': 'summary_text', 'text': 'Need the forecast.'},
+						{'type': 'summary_text', 'text': 'Then answer.'},
+					]}},
+					{'type': 'response.output_item.added', 'item': {'type': 'function_call', 'call_id': 'call_1', 'name': 'forecast', 'arguments': ''}},
+					{'type': 'response.function_call_arguments.done', 'item_id': 'call_1', 'arguments': '{}'},
+					{'type': 'response.completed', 'response': {'id': 'resp_1', 'usage': {
+						'input_tokens': 10,
+						'output_tokens': 40,
+						'output_tokens_details': {'reasoning_tokens': 32},
+						'total_tokens': 50,
+					}}},
+				]);
+				return;
+			}
+			createSseResponse(res, [
+				{'type': 'response.created', 'id': 'resp_2'},
+				{'type': 'response.output_item.added', 'item': {'type': 'message', 'id': 'msg_2', 'role': 'assistant'}},
+				{'type': 'response.output_text.delta', 'item_id': 'msg_2', 'delta': 'Sunny'},
+				{'type': 'response.completed', 'id': 'resp_2'},
+			]);
+		});
+	});
+	await new Promise(resolve => server.listen(0, resolve));
+	const address = server.address();
+	const llm = new OpenAI({
+		'apiBase': `http://127.0.0.1:${address.port}`,
+		'model': 'gpt-5',
+	});
+	const updates = [];
+	const deltas = [];
+
+	try {
+		const conversation = new Conversation();
+		const result = await llm.chat('weather?', {
+			conversation,
+			'store': false,
+			'reasoning': {'effort': 'high', 'summary': 'auto'},
+			'tools': {'forecast': () => 'sunny'},
+			'updateInterval': 0,
+			'onUpdate': message => message.type === 'reasoning' && updates.push(message.content),
+			'onEvent': event => event.type === 'reasoning_delta' && deltas.push(event.delta),
+		});
+		assert.deepEqual(requests[0].reasoning, {'effort': 'high', 'summary': 'auto'});
+		assert.deepEqual(requests[0].include, ['reasoning.encrypted_content']);
+
+		const [reasoning] = result.messages;
+		assert.equal(reasoning.type, 'reasoning');
+		assert.equal(reasoning.status, 'completed');
+		assert.equal(reasoning.content, 'Need the forecast.\n\nThen answer.');
+		assert.deepEqual(reasoning.summary, ['Need the forecast.', 'Then answer.']);
+		assert.deepEqual(deltas, ['Need the ', 'forecast.', 'Then answer.']);
+		assert.ok(updates.includes('Need the forecast.'));
+		assert.equal(result.usage.reasoningTokens, 32);
+		assert.equal(result.content, 'Sunny');
+
+		assert.deepEqual(requests[1].input.slice(1, 3), [
+			{'type': 'reasoning', 'id': 'rs_1', 'encrypted_content': 'gAAA', 'summary': [
+				{'type': 'summary_text', 'text': 'Need the forecast.'},
+				{'type': 'summary_text', 'text': 'Then answer.'},
+			]},
+			{'type': 'function_call', 'call_id': 'call_1', 'name': 'forecast', 'arguments': '{}'},
+		]);
+		assert.equal(conversation.items[1].type, 'reasoning');
+
+		// Without a conversation the unstored rounds are replayed the same way
+		requests.length = 0;
+		await llm.chat('weather?', {'store': false, 'reasoning': {'effort': 'low'}, 'tools': {'forecast': () => 'sunny'}});
+		assert.equal(requests[1].previous_response_id, undefined);
+		assert.deepEqual(requests[1].input.map(item => item.type || item.role), ['user', 'reasoning', 'function_call', 'function_call_output']);
+		assert.equal(requests[1].input[1].encrypted_content, 'gAAA');
+
+		// On top of a stored response, every round continues from that response
+		requests.length = 0;
+		await llm.chat('tomorrow?', {'lastMessageId': 'resp_0', 'store': false, 'tools': {'forecast': () => 'rain'}});
+		assert.deepEqual(requests.map(request => request.previous_response_id), ['resp_0', 'resp_0']);
+		assert.deepEqual(requests[1].input.map(item => item.type || item.role), ['user', 'reasoning', 'function_call', 'function_call_output']);
+	} finally {
+		server.close();
+	}
+});
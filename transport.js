@@ -0,0 +1,209 @@
+import { LLMError, ConnectionError, TimeoutError } from './errors.js';
+import { loadBuiltin } from './builtins.js';
+
+// A transport sends one HTTP request. It is called with
+// {url, method, headers, body, signal} and resolves once the response headers
+// arrive with {status, headers, body}, where body is an iterable or async
+// iterable of chunks, a string, a Uint8Array or null. The Node transport
+// loads node:http and node:https when it first sends, so fetchTransport() or
+// an in-process handler works where they do not exist.
+
+const basicAuth = (url) => `Basic ${Buffer.from(`${decodeURIComponent(url.username)}:${decodeURIComponent(url.password)}`).toString('base64')}`;
+
+// Opens a CONNECT tunnel through the proxy and starts TLS inside it. Agents
+// call createConnection with a callback when the socket is not ready yet.
+const tunnel = async (proxy, options, callback) => {
+	const [http, tls] = await Promise.all([loadBuiltin('node:http'), loadBuiltin('node:tls')]);
+	const target = `${options.host}:${options.port}`;
+	let called = false;
+	const done = (err, socket) => {
+		if (called) return;
+		called = true;
+		callback(err, socket);
+	};
+	const connect = http.request({
+		'host': proxy.hostname,
+		'port': proxy.port || 80,
+		'method': 'CONNECT',
+		'path': target,
+		'headers': {'Host': target, ...proxy.username && {'Proxy-Authorization': basicAuth(proxy)}},
+	});
+	connect.once('connect', (res, socket) => {
+		if (res.statusCode !== 200) {
+			socket.destroy();
+			return done(new Error(`Proxy refused the tunnel to ${target} with status ${res.statusCode}`));
+		}
+		done(null, tls.connect({...options, 'socket': socket, 'servername': options.servername || options.host}));
+	});
+	connect.once('error', err => done(err));
+	connect.end();
+};
+
+// Sends requests with node:http and node:https through keep-alive agents owned
+// by this transport. proxy is an http:// URL, and https requests tunnel
+// through it. tls options such as ca, cert, key and rejectUnauthorized go to
+// the https agent. agent replaces the agents altogether.
+export const createNodeTransport = ({keepAlive = true, maxSockets = Infinity, proxy, tls = {}, agent} = {}) => {
+	const proxyUrl = proxy ? new URL(proxy) : null;
+	if (proxyUrl && proxyUrl.protocol !== 'http:') throw new Error('proxy must be an http:// URL');
+	if (!tls || typeof tls !== 'object') throw new Error('tls must be an object');
+	const agents = {};
+
+	const getAgent = (protocol) => agents[protocol] ||= (async () => {
+		if (protocol === 'http:') return new (await loadBuiltin('node:http')).Agent({keepAlive, maxSockets});
+		const httpsAgent = new (await loadBuiltin('node:https')).Agent({keepAlive, maxSockets, ...tls});
+		if (proxyUrl) {
+			httpsAgent.createConnection = (options, callback) => {
+				tunnel(proxyUrl, options, callback).catch(callback);
+			};
+		}
+		return httpsAgent;
+	})();
+
+	const transport = async ({url, method, headers, body, signal}) => {
+		// Not a ConnectionError, retrying cannot help
+		if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new LLMError(`Unsupported protocol ${url.protocol} in ${url.href}`);
+		const lib = await loadBuiltin(url.protocol === 'https:' ? 'node:https' : 'node:http');
+		const options = {method, headers, signal, 'agent': agent || await getAgent(url.protocol)};
+		// Plain http goes to the proxy with the full URL as the path
+		if (proxyUrl && url.protocol === 'http:') {
+			Object.assign(options, {
+				'host': proxyUrl.hostname,
+				'port': proxyUrl.port || 80,
+				'path': url.href,
+				'headers': {...headers, 'Host': url.host, ...proxyUrl.username && {'Proxy-Authorization': basicAuth(proxyUrl)}},
+			});
+		}
+		return new Promise((resolve, reject) => {
+			const onResponse = res => resolve({'status': res.statusCode, 'headers': res.headers, 'body': res});
+			const client = options.path ? lib.request(options, onResponse) : lib.request(url, options, onResponse);
+			client.on('error', reject);
+			client.end(body);
+		});
+	};
+
+	// Closes the pooled connections
+	transport.close = async () => {
+		for (const pending of Object.values(agents)) (await pending).destroy();
+	};
+	return transport;
+};
+
+// Sends requests with the fetch API, globalThis.fetch by default
+export const fetchTransport = (fetchFn = globalThis.fetch) => {
+	if (typeof fetchFn !== 'function') throw new Error('fetchTransport requires a fetch function');
+	return async ({url, method, headers, body, signal}) => {
+		const res = await fetchFn(url.href, {method, headers, body, signal});
+		return {'status': res.status, 'headers': Object.fromEntries(res.headers), 'body': res.body};
+	};
+};
+
+// Shared by calls that are not made through a client
+let sharedTransport = null;
+export const defaultTransport = () => sharedTransport ||= createNodeTransport();
+
+// Chunks are Uint8Arrays, which Node's Buffers also are
+const toChunk = (chunk) => {
+	if (typeof chunk === 'string') return new TextEncoder().encode(chunk);
+	if (chunk instanceof Uint8Array) return chunk;
+	return new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+};
+
+const toIterator = (body) => {
+	if (body == null) return [][Symbol.iterator]();
+	if (typeof body === 'string' || body instanceof Uint8Array) return [body][Symbol.iterator]();
+	if (body[Symbol.asyncIterator]) return body[Symbol.asyncIterator]();
+	if (body[Symbol.iterator]) return body[Symbol.iterator]();
+	throw new Error('Transport response body must be an iterable of chunks, a string or a Uint8Array');
+};
+
+// Rejects with the signal's reason when it aborts first
+const abortable = (promise, signal) => new Promise((resolve, reject) => {
+	const onAbort = () => reject(signal.reason);
+	signal.addEventListener('abort', onAbort, {'once': true});
+	promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+	if (signal.aborted) onAbort();
+});
+
+// Sends a request through a transport and resolves with {status, headers,
+// body}, headers keyed in lower case and body an async iterable of Uint8Arrays
+// that must be read to the end. timeout limits each wait for the server, and
+// failures reject with TimeoutError, ConnectionError or the signal's reason.
+export const send = async (transport, {url, method = 'GET', headers = {}, body, timeout, signal}) => {
+	signal?.throwIfAborted();
+	const controller = new AbortController();
+	let timer = null;
+	let timedOut = false;
+	const onAbort = () => controller.abort(signal.reason);
+	signal?.addEventListener('abort', onAbort);
+	const wait = () => {
+		if (!timeout) return;
+		timer = setTimeout(() => {
+			timedOut = true;
+			controller.abort(new TimeoutError('Request timed out'));
+		}, timeout);
+	};
+	const settle = () => {
+		clearTimeout(timer);
+		signal?.removeEventListener('abort', onAbort);
+	};
+	const toError = (err) => {
+		settle();
+		if (timedOut) return new TimeoutError('Request timed out');
+		if (signal?.aborted) return signal.reason;
+		if (err instanceof LLMError) return err;
+		return new ConnectionError(err.message, {'cause': err});
+	};
+
+	let res;
+	wait();
+	try {
+		res = await abortable(Promise.resolve().then(() => transport({url, method, headers, body, 'signal': controller.signal})), controller.signal);
+	} catch (err) {
+		throw toError(err);
+	}
+	clearTimeout(timer);
+
+	const iterator = toIterator(res.body);
+	const chunks = async function* () {
+		let finished = false;
+		try {
+			while (true) {
+				wait();
+				const {value, done} = await abortable(Promise.resolve(iterator.next()), controller.signal);
+				clearTimeout(timer);
+				if (done) break;
+				yield toChunk(value);
+			}
+			finished = true;
+			settle();
+		} catch (err) {
+			throw toError(err);
+		} finally {
+			// Releases the connection when the reader stops early or fails
+			if (!finished) {
+				settle();
+				Promise.resolve(iterator.return?.()).catch(() => {});
+			}
+		}
+	};
+	const lowerCased = Object.fromEntries(Object.entries(res.headers || {}).map(([name, value]) => [name.toLowerCase(), value]));
+	return {'status': res.status, 'headers': lowerCased, 'body': chunks()};
+};
+
+export const concatBytes = (chunks) => {
+	const bytes = new Uint8Array(chunks.reduce((length, chunk) => length + chunk.byteLength, 0));
+	let offset = 0;
+	for (const chunk of chunks) {
+		bytes.set(chunk, offset);
+		offset += chunk.byteLength;
+	}
+	return bytes;
+};
+
+// Reads a response body to the end as text
+export const readText = async (body) => {
+	const chunks = [];
+	for await (const chunk of body) chunks.push(chunk);
+	return new TextDecoder().decode(concatBytes(chunks));
+};
@@ -1,13 +1,16 @@
-import http from 'node:http';
-import https from 'node:https';
-import readline from 'node:readline';
+import { createHttpError, OutputValidationError } from './errors.js';
+import { send, readText, concatBytes, defaultTransport } from './transport.js';
 
 // First parser, tries to parse JSON
 export const parseJson = (msg) => {
 	try {
 		return JSON.parse(msg);
 	} catch (err) {
-		throw new Error('Failed to parse response');
+		throw new OutputValidationError(`Failed to parse response: ${err.message}`, {
+			'text': msg,
+			'errors': [{'path': '$', 'message': `is not valid JSON (${err.message})`}],
+			'cause': err,
+		});
 	}
 };
 
@@ -32,53 +35,325 @@ const extractTags = (text) => {
 	return res;
 };
 
-// Better parser, tries to parse XML using array of known tags
+const tagRegex = /<\/([\w.-]+)\s*>|<([\w.-]+)((?:\s+[\w.:-]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>/g;
+const attributeRegex = /([\w.:-]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+const parseAttributes = (text) => {
+	const attributes = {};
+	for (const match of text.matchAll(attributeRegex)) {
+		attributes[match[1]] = match[2] ?? match[3] ?? match[4] ?? '';
+	}
+	return attributes;
+};
+
+// Builds an element tree from loosely formed XML. Names keep their casing and
+// closing tags match case-insensitively. Tags left open at the end of the text
+// (still streaming) are closed there and flagged as partial.
+export const parseXmlTree = (text) => {
+	const root = {'name': null, 'attributes': {}, 'children': [], 'text': '', 'raw': text};
+	const stack = [{'node': root, 'start': 0}];
+	let last = 0;
+	for (const match of text.matchAll(tagRegex)) {
+		stack.at(-1).node.text += text.slice(last, match.index);
+		last = match.index + match[0].length;
+
+		if (match[1]) { // closing tag, ignored when nothing matches it
+			const name = match[1].toLowerCase();
+			const depth = stack.findLastIndex((entry, i) => i > 0 && entry.node.name.toLowerCase() === name);
+			if (depth < 1) continue;
+			for (const entry of stack.splice(depth)) entry.node.raw = text.slice(entry.start, match.index);
+			continue;
+		}
+
+		const node = {
+			'name': match[2],
+			'attributes': parseAttributes(match[3]),
+			'children': [],
+			'text': '',
+			'raw': '',
+		};
+		stack.at(-1).node.children.push(node);
+		if (!match[4]) stack.push({node, 'start': last});
+	}
+	stack.at(-1).node.text += text.slice(last);
+	for (const entry of stack.slice(1)) {
+		entry.node.raw = text.slice(entry.start);
+		entry.node.partial = true;
+	}
+	return root;
+};
+
+// Collects repeated keys into arrays
+const addValue = (res, key, val) => {
+	if (!(key in res)) res[key] = val;
+	else if (Array.isArray(res[key])) res[key].push(val);
+	else res[key] = [res[key], val];
+};
+
+// Splits "- a\n- b" or "a, b" into ['a', 'b']
+const splitList = (text) => {
+	const lines = text.includes('\n') ? text.split('\n') : text.split(',');
+	return lines.map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '').trim()).filter(Boolean);
+};
+
+// Declared tags are keyed as declared, other tags as written
+const nodeKey = (node, types) => types[node.name.toLowerCase()]?.key ?? node.name;
+
+// Converts an element using the type declared for its tag: string, number,
+// boolean, list or object. Untyped elements become strings when they are
+// plain text and objects when they have attributes or children.
+const convertNode = (node, types) => {
+	const type = types[node.name.toLowerCase()]?.type;
+	const raw = node.raw.trim();
+	if (type === 'string') return raw;
+	if (type === 'number') return raw === '' || isNaN(Number(raw)) ? null : Number(raw);
+	if (type === 'boolean') return /^(true|yes|1)$/i.test(raw);
+	if (type === 'list') return node.children.length ? node.children.map(child => convertNode(child, types)) : splitList(raw);
+	if (!type && !node.children.length && !Object.keys(node.attributes).length) return raw;
+	const res = {...node.attributes};
+	for (const child of node.children) addValue(res, nodeKey(child, types), convertNode(child, types));
+	const text = node.text.trim();
+	if (text) res.text = text;
+	return res;
+};
+
+// Better parser, tries to parse XML using array of known tags, or an object
+// mapping tags to types for nested, typed output
 export const parseXml = (msg, xmlTags) => {
-	try {
-		const data = extractTags(msg);
-		return xmlTags.reduce((res, tag) => {
-			tag = tag.toLowerCase();
-			if (data[tag]) res[tag] = data[tag];
+	if (!Array.isArray(xmlTags)) {
+		const types = Object.fromEntries(Object.entries(xmlTags).map(([key, type]) => [key.toLowerCase(), {key, type}]));
+		return parseXmlTree(msg).children.reduce((res, node) => {
+			if (node.name.toLowerCase() in types) addValue(res, nodeKey(node, types), convertNode(node, types));
 			return res;
 		}, {});
-	} catch (err) {
-		console.warn(msg);
-		throw err;
 	}
-};
-
-// Chooses method based on the protocol
-export const request = (url, ...rest) => {
-	if (url.protocol === 'http:') return http.request(url, ...rest);
-	if (url.protocol === 'https:') return https.request(url, ...rest);
+	const data = extractTags(msg);
+	return xmlTags.reduce((res, tag) => {
+		tag = tag.toLowerCase();
+		if (data[tag]) res[tag] = data[tag];
+		return res;
+	}, {});
 };
 
 // Parses any single SSE data line into its raw JSON payload.
-const parseStreamEvent = (buf) => {
+const parseStreamEvent = (line) => {
 	try {
-		return JSON.parse(buf.toString().slice(6));
+		return JSON.parse(line.slice(6));
 	} catch (err) {
 		return null;
 	}
 };
 
-// Cleans the stream and emits only events parseable by parseLine and
-// resolves once the whole stream ends
-export const consumeStreamAsync = (stream, onLine) => new Promise(resolve => {
-	const rl = readline.createInterface({'input': stream});
-	let chain = Promise.resolve();
-	rl.on('line', buf => {
-		if (!buf.startsWith('data: ')) return;
-		if (buf === 'data: [DONE]') return;
-		const event = parseStreamEvent(buf);
-		if (event) chain = chain.then(() => onLine(event));
-	});
-	rl.once('close', async () => {
-		await chain;
+// Splits the streamed chunks into lines and passes every event parseable by
+// parseStreamEvent to onLine, waiting for each before the next. Resolves once
+// the whole stream ends, or rejects if the stream errors.
+export const consumeStreamAsync = async (chunks, onLine) => {
+	const decoder = new TextDecoder();
+	let buffer = '';
+	const handle = async (line) => {
+		if (!line.startsWith('data: ')) return;
+		if (line === 'data: [DONE]') return;
+		const event = parseStreamEvent(line);
+		if (event) await onLine(event);
+	};
+	for await (const chunk of chunks) {
+		buffer += decoder.decode(chunk, {'stream': true});
+		const lines = buffer.split(/\r?\n/);
+		buffer = lines.pop();
+		for (const line of lines) await handle(line);
+	}
+	buffer += decoder.decode();
+	if (buffer) await handle(buffer);
+};
+
+// POSTs a JSON payload and feeds every streamed event to onEvent. Resolves with
+// the response headers once the stream ends and rejects with a typed error
+// from errors.js otherwise.
+export const postStream = async (url, {transport = defaultTransport(), headers, payload, timeout, signal}, onEvent) => {
+	const res = await send(transport, {url, 'method': 'POST', headers, 'body': JSON.stringify(payload), timeout, signal});
+	if (res.status >= 400) throw createHttpError(res.status, prettyResponse(await readText(res.body)), res.headers);
+	await consumeStreamAsync(res.body, onEvent);
+	return res.headers;
+};
+
+// Sends one request and resolves with the parsed JSON body, or the text when
+// the response is not JSON. body may be a string, a Uint8Array or an object
+// sent as JSON. Errors reject like postStream.
+export const requestJson = async (url, {transport = defaultTransport(), method = 'GET', headers = {}, body, timeout, signal} = {}) => {
+	const data = body === undefined || typeof body === 'string' || body instanceof Uint8Array ? body : JSON.stringify(body);
+	const res = await send(transport, {url, method, headers, 'body': data, timeout, signal});
+	const text = await readText(res.body);
+	if (res.status >= 400) throw createHttpError(res.status, prettyResponse(text), res.headers);
+	return (res.headers['content-type'] || '').includes('json') ? prettyResponse(text) : text;
+};
+
+// Encodes fields as multipart/form-data. A field is a string, a
+// {data, filename, contentType} file, or an array of either sent as repeated
+// fields.
+export const multipartBody = (fields) => {
+	const encode = (text) => new TextEncoder().encode(text);
+	const boundary = `----poon-llm-${Date.now().toString(16)}${Math.random().toString(16).slice(2)}`;
+	const parts = [];
+	const entries = Object.entries(fields).flatMap(([name, value]) => Array.isArray(value) ? value.map(item => [name, item]) : [[name, value]]);
+	for (const [name, value] of entries) {
+		if (value === undefined || value === null) continue;
+		if (typeof value !== 'object') {
+			parts.push(encode(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`));
+			continue;
+		}
+		const file = value instanceof Uint8Array ? {'data': value} : value;
+		parts.push(encode([
+			`--${boundary}`,
+			`Content-Disposition: form-data; name="${name}"; filename="${file.filename || name}"`,
+			`Content-Type: ${file.contentType || 'application/octet-stream'}`,
+			'',
+			'',
+		].join('\r\n')));
+		parts.push(file.data instanceof Uint8Array ? file.data : encode(file.data));
+		parts.push(encode('\r\n'));
+	}
+	parts.push(encode(`--${boundary}--\r\n`));
+	return {'body': concatBytes(parts), 'contentType': `multipart/form-data; boundary=${boundary}`};
+};
+
+// base64 without Buffer, which only Node has. Bytes go to btoa in slices so
+// large files do not overflow the argument list.
+export const toBase64 = (bytes) => {
+	let binary = '';
+	for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+	return btoa(binary);
+};
+
+export const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+// Whether data holds signature, a string or an array of bytes, at offset
+export const hasSignature = (data, signature, offset = 0) => [...signature]
+	.every((byte, i) => data[offset + i] === (typeof byte === 'string' ? byte.charCodeAt(0) : byte));
+
+// Parses durations such as 1s, 6m0s, 20ms and 1h2m3.5s into milliseconds
+const parseDuration = (value) => {
+	if (!value) return null;
+	const units = {'h': 3600000, 'm': 60000, 's': 1000, 'ms': 1};
+	let ms = 0;
+	let matched = false;
+	for (const [, amount, unit] of String(value).matchAll(/([\d.]+)(ms|h|m|s)/g)) {
+		ms += Number(amount) * units[unit];
+		matched = true;
+	}
+	return matched ? ms : null;
+};
+
+// Reads the x-ratelimit-* response headers, null when there are none
+export const parseRateLimit = (headers = {}) => {
+	if (!Object.keys(headers).some(name => name.startsWith('x-ratelimit-'))) return null;
+	const number = (name) => headers[name] === undefined ? null : Number(headers[name]);
+	return {
+		'limitRequests': number('x-ratelimit-limit-requests'),
+		'remainingRequests': number('x-ratelimit-remaining-requests'),
+		'resetRequests': parseDuration(headers['x-ratelimit-reset-requests']),
+		'limitTokens': number('x-ratelimit-limit-tokens'),
+		'remainingTokens': number('x-ratelimit-remaining-tokens'),
+		'resetTokens': parseDuration(headers['x-ratelimit-reset-tokens']),
+	};
+};
+
+// Resolves after ms, or rejects early with the signal's reason
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+	const onAbort = () => {
+		clearTimeout(timer);
+		reject(signal.reason);
+	};
+	const timer = setTimeout(() => {
+		signal?.removeEventListener('abort', onAbort);
 		resolve();
+	}, ms);
+	if (signal?.aborted) return onAbort();
+	signal?.addEventListener('abort', onAbort, {'once': true});
+});
+
+// Milliseconds to wait before retry number attempt (0-based). Honors the
+// Retry-After headers when the server sends them, otherwise exponential
+// backoff with full jitter. Either way the wait is capped at maxRetryDelay.
+const serverDelay = (headers) => {
+	const ms = Number(headers['retry-after-ms']);
+	if (ms >= 0) return ms;
+	const seconds = Number(headers['retry-after']);
+	if (seconds >= 0) return seconds * 1000;
+	const date = Date.parse(headers['retry-after']);
+	if (!isNaN(date)) return Math.max(0, date - Date.now());
+	return null;
+};
+
+export const retryDelay = (err, attempt, {retryDelay, maxRetryDelay}) => {
+	const delay = serverDelay(err.headers || {});
+	if (delay !== null) return Math.min(delay, maxRetryDelay);
+	return Math.random() * Math.min(maxRetryDelay, retryDelay * 2 ** attempt);
+};
+
+// Settles with the promise, or rejects with the signal's reason once it aborts
+export const raceSignal = (promise, signal) => {
+	if (!signal) return promise;
+	return new Promise((resolve, reject) => {
+		const onAbort = () => reject(signal.reason);
+		if (signal.aborted) return onAbort();
+		signal.addEventListener('abort', onAbort, {'once': true});
+		Promise.resolve(promise).then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
 	});
+};
+
+// Maps items through an async fn with at most limit calls in flight, keeping
+// the results in input order
+export const mapConcurrent = async (items, limit, fn) => {
+	const results = new Array(items.length);
+	let next = 0;
+	const worker = async () => {
+		while (next < items.length) {
+			const i = next++;
+			try {
+				results[i] = await fn(items[i], i);
+			} catch (err) {
+				next = items.length;
+				throw err;
+			}
+		}
+	};
+	await Promise.all(Array.from({'length': Math.min(limit, items.length)}, worker));
+	return results;
+};
+
+export const emptyUsage = () => ({
+	'inputTokens': 0,
+	'cachedInputTokens': 0,
+	'outputTokens': 0,
+	'reasoningTokens': 0,
+	'totalTokens': 0,
+});
+
+// Converts the Responses API usage object into camelCase token counts
+export const parseUsage = (usage) => ({
+	'inputTokens': usage?.input_tokens || 0,
+	'cachedInputTokens': usage?.input_tokens_details?.cached_tokens || 0,
+	'outputTokens': usage?.output_tokens || 0,
+	'reasoningTokens': usage?.output_tokens_details?.reasoning_tokens || 0,
+	'totalTokens': usage?.total_tokens || (usage?.input_tokens || 0) + (usage?.output_tokens || 0),
 });
 
+// Adds the token counts (and cost, when both sides have one) of b into a
+export const addUsage = (a, b) => {
+	for (const key of Object.keys(emptyUsage())) a[key] += b[key];
+	if (typeof b.cost === 'number') a.cost = (a.cost || 0) + b.cost;
+	return a;
+};
+
+// Cost in the price table's currency. Prices are per million tokens, and
+// cached input falls back to the input price.
+export const usageCost = (usage, price) => {
+	if (!price) return null;
+	const cachedPrice = price.cachedInput ?? price.input;
+	const uncached = usage.inputTokens - usage.cachedInputTokens;
+	return (uncached * price.input + usage.cachedInputTokens * cachedPrice + usage.outputTokens * price.output) / 1e6;
+};
+
 export const prettyResponse = (data) => {
 	try {
 		return JSON.parse(data);